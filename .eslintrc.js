@@ -24,8 +24,18 @@ module.exports = {
     'no-unused-vars': 'warn',
     'no-console': 'off',
     'react/prop-types': 'off',
-    'react-hooks/exhaustive-deps': 'warn',
+    'react-hooks/exhaustive-deps': ['warn', {
+      additionalHooks: '(useMeasuredMemo|useMeasuredEffect|useMeasuredCallback)',
+    }],
   },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: {
+        jest: true,
+      },
+    },
+  ],
   settings: {
     react: {
       version: 'detect',
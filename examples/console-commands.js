@@ -1,5 +1,11 @@
 // Console Commands Examples
 // Copy and paste these commands into your browser console for quick analysis
+//
+// Importing the library installs nothing on window. Install the console helpers once
+// from your app's development entry point:
+//
+//   import { installConsoleTools } from 'performance-analyzer-lib';
+//   installConsoleTools();
 
 // ==========================================
 // QUICK ANALYSIS COMMANDS
@@ -32,6 +32,10 @@ import {
   BugReport as BugReportIcon,
   Assessment as AssessmentIcon,
 } from '@mui/icons-material';
+import { performanceMonitor } from '../core/performanceMonitoring.js';
+import { createLogger } from '../core/logger.js';
+
+const logger = createLogger('dashboard');
 
 const PerformanceDashboard = () => {
   const [performanceData, setPerformanceData] = useState(null);
@@ -40,10 +44,8 @@ const PerformanceDashboard = () => {
 
   // Fetch performance data
   const fetchPerformanceData = useCallback(() => {
-    if (window.performanceMonitor) {
-      const data = window.performanceMonitor.getPerformanceData();
-      setPerformanceData(data);
-    }
+    const data = performanceMonitor.getPerformanceData();
+    setPerformanceData(data);
   }, []);
 
   // Auto-refresh performance data
@@ -62,38 +64,35 @@ const PerformanceDashboard = () => {
   // Toggle monitoring
   const toggleMonitoring = useCallback(() => {
     setIsMonitoring(prev => !prev);
-    if (window.performanceMonitor) {
-      if (isMonitoring) {
-        window.performanceMonitor.stopMonitoring();
-      } else {
-        window.performanceMonitor.startMonitoring();
-      }
+    if (isMonitoring) {
+      performanceMonitor.stopMonitoring();
+    } else {
+      performanceMonitor.startMonitoring(refreshInterval);
     }
-  }, [isMonitoring]);
+  }, [isMonitoring, refreshInterval]);
 
   // Generate performance report
   const generateReport = useCallback(() => {
-    if (window.getPerformanceReport) {
-      const report = window.getPerformanceReport();
-      console.log('Performance Report:', report);
-      
-      // Create downloadable report
-      const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `performance-report-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-    }
+    const report = {
+      ...performanceMonitor.getPerformanceData(),
+      report: performanceMonitor.generateReport(),
+    };
+    logger.info('Performance Report:', report);
+    
+    // Create downloadable report
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `performance-report-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
   }, []);
 
   // Clear performance data
   const clearData = useCallback(() => {
-    if (window.performanceMonitor) {
-      window.performanceMonitor.clearData();
-      fetchPerformanceData();
-    }
+    performanceMonitor.clearData();
+    fetchPerformanceData();
   }, [fetchPerformanceData]);
 
   // Performance metrics summary
@@ -111,7 +110,7 @@ const PerformanceDashboard = () => {
       maxMemory: memoryUsage.length > 0 ? 
         (Math.max(...memoryUsage) / (1024 * 1024)).toFixed(2) : 0,
       totalComponents: Object.keys(componentMetrics).length,
-      slowComponents: Object.values(componentMetrics).filter(metric => metric.averageRenderTime > 16).length,
+      slowComponents: Object.values(componentMetrics).filter(metric => metric.p95 > 16).length,
       bundleSize: bundleAnalysis?.totalSize ? (bundleAnalysis.totalSize / (1024 * 1024)).toFixed(2) : 'N/A',
     };
   }, [performanceData]);
@@ -274,8 +273,14 @@ const PerformanceDashboard = () => {
                 <TableRow>
                   <TableCell>Component</TableCell>
                   <TableCell align="right">Render Count</TableCell>
-                  <TableCell align="right">Avg Render Time (ms)</TableCell>
-                  <TableCell align="right">Max Render Time (ms)</TableCell>
+                  <TableCell align="right">Mean (ms)</TableCell>
+                  <TableCell align="right">p50 (ms)</TableCell>
+                  <TableCell align="right">p95 (ms)</TableCell>
+                  <TableCell align="right">p99 (ms)</TableCell>
+                  <TableCell align="right">Max (ms)</TableCell>
+                  <TableCell align="right">Std Dev (ms)</TableCell>
+                  <TableCell align="right">Instances (mounted / total)</TableCell>
+                  <TableCell>Slowest Instances</TableCell>
                   <TableCell align="right">Status</TableCell>
                 </TableRow>
               </TableHead>
@@ -287,12 +292,24 @@ const PerformanceDashboard = () => {
                     </TableCell>
                     <TableCell align="right">{metrics.renderCount}</TableCell>
                     <TableCell align="right">{metrics.averageRenderTime.toFixed(2)}</TableCell>
+                    <TableCell align="right">{metrics.p50.toFixed(2)}</TableCell>
+                    <TableCell align="right">{metrics.p95.toFixed(2)}</TableCell>
+                    <TableCell align="right">{metrics.p99.toFixed(2)}</TableCell>
                     <TableCell align="right">{metrics.maxRenderTime.toFixed(2)}</TableCell>
+                    <TableCell align="right">{metrics.stddev.toFixed(2)}</TableCell>
+                    <TableCell align="right">{metrics.instances ? `${metrics.instances.mountedCount} / ${metrics.instances.totalCount}` : '-'}</TableCell>
+                    <TableCell>
+                      {metrics.instances
+                        ? metrics.instances.slowestInstances
+                          .map(instance => `${instance.instanceId} (${instance.averageRenderTime.toFixed(2)}ms)`)
+                          .join(', ')
+                        : '-'}
+                    </TableCell>
                     <TableCell align="right">
                       <Chip
                         size="small"
-                        label={metrics.averageRenderTime > 16 ? 'Slow' : 'Good'}
-                        color={metrics.averageRenderTime > 16 ? 'error' : 'success'}
+                        label={metrics.p95 > 16 ? 'Slow' : 'Good'}
+                        color={metrics.p95 > 16 ? 'error' : 'success'}
                       />
                     </TableCell>
                   </TableRow>
@@ -314,7 +331,7 @@ const PerformanceDashboard = () => {
               {performanceMetrics.slowComponents > 0 && (
                 <Alert severity="warning" sx={{ mb: 2 }}>
                   <AlertTitle>Slow Components Detected</AlertTitle>
-                  {performanceMetrics.slowComponents} components have average render times above 16ms. 
+                  {performanceMetrics.slowComponents} components have p95 render times above 16ms. 
                   Consider adding memoization or optimizing these components.
                 </Alert>
               )}
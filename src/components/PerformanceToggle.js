@@ -20,6 +20,7 @@ import {
   Assessment as AssessmentIcon,
 } from '@mui/icons-material';
 import PerformanceDashboard from './PerformanceDashboard';
+import { performanceMonitor } from '../core/performanceMonitoring.js';
 
 const PerformanceToggle = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -27,17 +28,15 @@ const PerformanceToggle = () => {
 
   const toggleDashboard = useCallback(() => {
     setIsOpen(prev => !prev);
-    if (!isOpen && window.performanceMonitor) {
+    if (!isOpen) {
       // Fetch current performance data when opening
-      const data = window.performanceMonitor.getPerformanceData();
+      const data = performanceMonitor.getPerformanceData();
       setPerformanceData(data);
     }
   }, [isOpen]);
 
   const getPerformanceStatus = useCallback(() => {
-    if (!window.performanceMonitor) return { status: 'unavailable', color: 'default' };
-    
-    const data = window.performanceMonitor.getPerformanceData();
+    const data = performanceMonitor.getPerformanceData();
     if (!data || !data.renderTimes.length) return { status: 'no data', color: 'default' };
     
     const avgRenderTime = data.renderTimes.reduce((sum, time) => sum + time, 0) / data.renderTimes.length;
@@ -0,0 +1,36 @@
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+import { configureLogger } from '../logger.js';
+
+describe('render commits', () => {
+  let monitor;
+
+  beforeAll(() => {
+    configureLogger({ silent: true });
+  });
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+  });
+
+  it('groups samples of one render pass recorded in different phases', async () => {
+    // Ids taken while rendering, samples recorded later (the HOC records after paint)
+    const topCommit = monitor.getRenderPassId();
+    const leafCommit = monitor.getRenderPassId();
+    monitor.recordRender('Leaf', 2, { startTime: 101, parentComponent: 'Top', commitId: leafCommit });
+    await Promise.resolve();
+    monitor.recordRender('Top', 5, { startTime: 100, commitId: topCommit });
+
+    const commits = monitor.getCommits();
+    expect(commits).toHaveLength(1);
+    expect(commits[0].flameGraph.children[0].name).toBe('Top');
+    expect(commits[0].flameGraph.children[0].children[0].name).toBe('Leaf');
+  });
+
+  it('starts a new commit for the next render pass', async () => {
+    monitor.recordRender('Top', 5, { startTime: 100, commitId: monitor.getRenderPassId() });
+    await Promise.resolve();
+    monitor.recordRender('Top', 4, { startTime: 200, commitId: monitor.getRenderPassId() });
+
+    expect(monitor.getCommits()).toHaveLength(2);
+  });
+});
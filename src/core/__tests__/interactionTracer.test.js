@@ -0,0 +1,105 @@
+import { createInteractionTracer } from '../interactionTracer.js';
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+
+// Fake PerformanceObserver for the 'event' entry type, fed through emit()
+const createFakeObserver = () => {
+  let observer = null;
+
+  class FakePerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+    }
+
+    observe() {
+      observer = this;
+    }
+
+    disconnect() {
+      observer = null;
+    }
+  }
+
+  const emit = (entries) => observer.callback({ getEntries: () => entries });
+
+  return { FakePerformanceObserver, emit };
+};
+
+// Event target dispatching to capture listeners
+const createTarget = () => {
+  const listeners = {};
+
+  return {
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    removeEventListener: (type) => {
+      delete listeners[type];
+    },
+    dispatch: (event) => listeners[event.type](event),
+  };
+};
+
+const eventTimingEntry = (startTime) => ({
+  name: 'click',
+  startTime,
+  processingStart: startTime + 4,
+  processingEnd: startTime + 30,
+  duration: 48,
+});
+
+const waitForPaint = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('createInteractionTracer', () => {
+  let monitor;
+  let fake;
+  let target;
+  let tracer;
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+    fake = createFakeObserver();
+    target = createTarget();
+    tracer = createInteractionTracer({
+      monitor,
+      target,
+      PerformanceObserver: fake.FakePerformanceObserver,
+      requestAnimationFrame: callback => setTimeout(callback, 0),
+    });
+    tracer.start();
+  });
+
+  afterEach(() => {
+    tracer.stop();
+  });
+
+  it('uses Event Timing entries delivered before the interaction finished', async () => {
+    const timeStamp = performance.now();
+    target.dispatch({ type: 'click', target: null, timeStamp });
+    fake.emit([eventTimingEntry(timeStamp)]);
+    await waitForPaint();
+
+    expect(monitor.getInteractions()).toMatchObject([
+      { source: 'event-timing', inputDelay: 4, processingTime: 26, presentationDelay: 18, duration: 48 },
+    ]);
+  });
+
+  it('refines finished interactions with late Event Timing entries', async () => {
+    const timeStamp = performance.now();
+    target.dispatch({ type: 'click', target: null, timeStamp });
+    await waitForPaint();
+    expect(monitor.getInteractions()[0].source).toBe('estimate');
+
+    fake.emit([eventTimingEntry(timeStamp)]);
+
+    expect(monitor.getInteractions()[0]).toMatchObject({ source: 'event-timing', duration: 48 });
+  });
+
+  it('keeps the estimate when no entry matches', async () => {
+    const timeStamp = performance.now();
+    fake.emit([eventTimingEntry(timeStamp - 500)]);
+    target.dispatch({ type: 'click', target: null, timeStamp });
+    await waitForPaint();
+
+    expect(monitor.getInteractions()[0].source).toBe('estimate');
+  });
+});
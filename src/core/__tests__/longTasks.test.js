@@ -0,0 +1,46 @@
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+import { configureLogger } from '../logger.js';
+
+describe('render time per frame', () => {
+  let monitor;
+
+  beforeAll(() => {
+    configureLogger({ silent: true });
+  });
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+    // Top > Mid > Leaf rendered in one 10ms commit; each sample includes its children
+    monitor.recordRender('Top', 10, { startTime: 100 });
+    monitor.recordRender('Mid', 6, { startTime: 102, parentComponent: 'Top' });
+    monitor.recordRender('Leaf', 5, { startTime: 102.5, parentComponent: 'Mid' });
+  });
+
+  it('attributes a long task to the own render time of nested components', () => {
+    const longTask = monitor.recordLongTask({ type: 'longtask', startTime: 90, duration: 60 });
+
+    expect(longTask.renderTime).toBeCloseTo(10);
+    expect(longTask.components).toEqual([
+      { componentName: 'Leaf', renderTime: 5 },
+      { componentName: 'Top', renderTime: 4 },
+      { componentName: 'Mid', renderTime: 1 },
+    ]);
+  });
+
+  it('counts nested components once in the latest frame', () => {
+    expect(monitor.getLatestFrameRenderTime()).toBeCloseTo(10);
+  });
+
+  it('nests renders recorded without a parent through the dependency graph', () => {
+    monitor.recordRender('Page', 12, { startTime: 99 });
+    monitor.trackComponentDependency('Page', 'Top');
+
+    expect(monitor.getLatestFrameRenderTime()).toBeCloseTo(12);
+  });
+
+  it('counts renders outside the parent render separately', () => {
+    monitor.recordRender('Mid', 2, { startTime: 111, parentComponent: 'Top' });
+
+    expect(monitor.getLatestFrameRenderTime()).toBeCloseTo(12);
+  });
+});
@@ -0,0 +1,73 @@
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+
+// Provider renders as MonitoredProvider reports them: the first render is the mount
+const renderProvider = (monitor, renders, { recreated, realChanges = [], providerId = 1 }) => {
+  monitor.recordContextProviderRender('Theme', { providerId, changed: false, recreated: false, version: 0 });
+  for (let version = 1; version < renders; version++) {
+    monitor.recordContextProviderRender('Theme', {
+      providerId,
+      changed: true,
+      recreated: recreated && !realChanges.includes(version),
+      version
+    });
+    monitor.recordContextConsumerRender('Theme', version, 'Header');
+    monitor.recordContextConsumerRender('Theme', version, 'Sidebar');
+  }
+};
+
+describe('monitored context stats', () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+  });
+
+  it('flags providers whose value is recreated with equal content every render', () => {
+    renderProvider(monitor, 6, { recreated: true });
+
+    const [stats] = monitor.getContextStats();
+    expect(stats).toMatchObject({
+      providerRenders: 6,
+      valueChanges: 5,
+      recreatedValues: 5,
+      recreatedEveryRender: true,
+      averageFanOut: 2,
+      consumers: { Header: 5, Sidebar: 5 },
+    });
+    expect(monitor.generateRecommendations().map(recommendation => recommendation.type)).toContain('context_fanout');
+  });
+
+  it('does not flag providers whose value really changes every render', () => {
+    renderProvider(monitor, 6, { recreated: false });
+
+    const [stats] = monitor.getContextStats();
+    expect(stats).toMatchObject({ valueChanges: 5, recreatedValues: 0, recreatedEveryRender: false });
+    expect(monitor.generateRecommendations().map(recommendation => recommendation.type)).not.toContain('context_fanout');
+  });
+
+  it('flags providers recreating their value every render between real changes', () => {
+    // Mount, then 6 equal-content recreations and 1 real change
+    renderProvider(monitor, 8, { recreated: true, realChanges: [4] });
+
+    const [stats] = monitor.getContextStats();
+    expect(stats).toMatchObject({ providerRenders: 8, valueChanges: 7, recreatedValues: 6, recreatedEveryRender: true });
+  });
+
+  it('does not flag providers that mostly re-render with the same value', () => {
+    for (let render = 0; render < 8; render++) {
+      monitor.recordContextProviderRender('Theme', { providerId: 1, changed: render === 7, recreated: render === 7, version: render });
+    }
+
+    expect(monitor.getContextStats()[0].recreatedEveryRender).toBe(false);
+  });
+
+  it('tracks each provider of a context separately', () => {
+    renderProvider(monitor, 6, { recreated: true, providerId: 1 });
+    for (let render = 0; render < 6; render++) {
+      monitor.recordContextProviderRender('Theme', { providerId: 2, changed: false, recreated: false, version: 0 });
+    }
+
+    const [stats] = monitor.getContextStats();
+    expect(stats).toMatchObject({ providerRenders: 12, valueChanges: 5, recreatedEveryRender: true });
+  });
+});
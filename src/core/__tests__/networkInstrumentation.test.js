@@ -0,0 +1,46 @@
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+import { createNetworkCollector } from '../networkInstrumentation.js';
+
+const createWindow = () => ({
+  location: { origin: 'https://app.test' },
+  fetch: () => Promise.resolve({ status: 200, headers: { get: () => '120' } }),
+});
+
+describe('network request attribution', () => {
+  let monitor;
+  let win;
+  let collector;
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+    win = createWindow();
+    collector = createNetworkCollector({ monitor, window: win });
+    collector.start();
+  });
+
+  afterEach(() => {
+    collector.stop();
+  });
+
+  it('attributes requests started inside a monitored component', async () => {
+    await monitor.runInComponent('UserCard', () => win.fetch('/api/users/42'));
+
+    expect(monitor.getNetworkRequests()).toMatchObject([
+      { component: 'UserCard', pattern: '/api/users/:id', method: 'GET', status: 200, size: 120 },
+    ]);
+  });
+
+  // fetch runs outside rendering: plain event handlers and code after an await have no component
+  it('reports requests without an active component as unattributed', async () => {
+    await monitor.runInComponent('UserCard', async () => {
+      await Promise.resolve();
+      await win.fetch('/api/users/42/posts');
+    });
+    await win.fetch('/api/search?q=shoes');
+
+    expect(monitor.getNetworkRequests().map(request => [request.pattern, request.component])).toEqual([
+      ['/api/users/:id/posts', '(unattributed)'],
+      ['/api/search', '(unattributed)'],
+    ]);
+  });
+});
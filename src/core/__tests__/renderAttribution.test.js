@@ -0,0 +1,26 @@
+import { attributeRender, diffValues, isValueEqual } from '../renderAttribution.js';
+
+describe('render attribution', () => {
+  it('treats recreated objects with equal content as reference-only changes', () => {
+    expect(diffValues({ filter: { status: 'open' } }, { filter: { status: 'open' } })).toEqual([
+      { name: 'filter', kind: 'reference' },
+    ]);
+  });
+
+  it('compares functions by reference only', () => {
+    const createHandler = (count) => () => count;
+    const handler = createHandler(1);
+
+    expect(isValueEqual(handler, handler)).toBe(true);
+    expect(isValueEqual(createHandler(1), createHandler(2))).toBe(false);
+    expect(isValueEqual({ onClick: handler }, { onClick: createHandler(2) })).toBe(false);
+  });
+
+  it('does not report a render with a new inline callback as wasted', () => {
+    const createHandler = (count) => () => count;
+    const attribution = attributeRender({ props: [{ onClick: createHandler(1) }, { onClick: createHandler(2) }] });
+
+    expect(attribution.changes.props).toEqual([{ name: 'onClick', kind: 'value' }]);
+    expect(attribution.wasted).toBe(false);
+  });
+});
@@ -0,0 +1,228 @@
+import { createWebVitalsCollector } from '../webVitals.js';
+import { PerformanceMonitor } from '../performanceMonitoring.js';
+import { configureLogger } from '../logger.js';
+
+// Fake PerformanceObserver: observers are kept per entry type and fed through emit()
+const createFakeObserver = () => {
+  const observers = new Map();
+
+  class FakePerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+    }
+
+    observe({ type }) {
+      this.type = type;
+      observers.set(type, this);
+    }
+
+    disconnect() {
+      observers.delete(this.type);
+    }
+  }
+
+  const emit = (type, entries) => {
+    observers.get(type).callback({ getEntries: () => entries });
+  };
+
+  return { FakePerformanceObserver, emit, observers };
+};
+
+const interaction = (interactionId, duration) => ({
+  name: 'click',
+  interactionId,
+  duration,
+  startTime: interactionId * 100,
+  processingStart: interactionId * 100 + 5,
+  processingEnd: interactionId * 100 + 10,
+  target: { tagName: 'BUTTON', id: '', className: 'buy' },
+});
+
+describe('createWebVitalsCollector', () => {
+  let monitor;
+  let fake;
+  let collector;
+
+  beforeAll(() => {
+    configureLogger({ silent: true });
+  });
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+    fake = createFakeObserver();
+    collector = createWebVitalsCollector({ monitor, PerformanceObserver: fake.FakePerformanceObserver });
+    collector.start();
+  });
+
+  afterEach(() => {
+    collector.stop();
+  });
+
+  it('observes every vital and disconnects on stop', () => {
+    expect(collector.isSupported).toBe(true);
+    expect(Array.from(fake.observers.keys())).toEqual([
+      'paint', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'navigation'
+    ]);
+
+    collector.stop();
+    expect(fake.observers.size).toBe(0);
+  });
+
+  it('records FCP from the first-contentful-paint entry only', () => {
+    fake.emit('paint', [
+      { name: 'first-paint', startTime: 800 },
+      { name: 'first-contentful-paint', startTime: 1200 },
+    ]);
+
+    expect(monitor.getWebVitals().FCP).toMatchObject({ value: 1200, rating: 'good' });
+  });
+
+  it('records LCP from the latest entry with element attribution', () => {
+    fake.emit('largest-contentful-paint', [
+      { startTime: 900, element: { tagName: 'H1', id: '', className: '' }, size: 2000 },
+      {
+        startTime: 3000,
+        element: { tagName: 'IMG', id: 'hero', className: 'banner wide' },
+        url: 'https://example.com/hero.jpg',
+        size: 50000,
+        renderTime: 3000,
+        loadTime: 2800,
+      },
+    ]);
+
+    expect(monitor.getWebVitals().LCP).toMatchObject({
+      value: 3000,
+      rating: 'needs-improvement',
+      attribution: {
+        element: 'img#hero.banner.wide',
+        url: 'https://example.com/hero.jpg',
+        size: 50000,
+        loadTime: 2800,
+      },
+    });
+  });
+
+  it('reports the largest CLS session window and ignores shifts after input', () => {
+    fake.emit('layout-shift', [
+      // First window: 0.05 + 0.04
+      { startTime: 1000, value: 0.05 },
+      { startTime: 1500, value: 0.04 },
+      { startTime: 1600, value: 0.5, hadRecentInput: true },
+      // More than 1s later: new window 0.03 + 0.02, smaller than the first
+      { startTime: 3000, value: 0.03 },
+      { startTime: 3500, value: 0.02 },
+      // New window reaching 0.12
+      { startTime: 6000, value: 0.07, sources: [{ node: { tagName: 'DIV', id: 'ad', className: '' } }] },
+      { startTime: 6500, value: 0.05 },
+    ]);
+
+    const cls = monitor.getWebVitals().CLS;
+    expect(cls.value).toBeCloseTo(0.12);
+    expect(cls.rating).toBe('needs-improvement');
+    expect(cls.attribution).toMatchObject({
+      largestShiftTarget: 'div#ad',
+      largestShiftValue: 0.07,
+      shiftCount: 2,
+    });
+  });
+
+  it('closes a CLS session window after 5s even when shifts keep coming', () => {
+    const shifts = Array.from({ length: 12 }, (_, index) => ({ startTime: 1000 + index * 900, value: 0.01 }));
+    fake.emit('layout-shift', shifts);
+
+    // 900ms apart: 6 shifts fit in the first 5s window
+    expect(monitor.getWebVitals().CLS.value).toBeCloseTo(0.06);
+  });
+
+  it('records INP as the longest interaction, ignoring one outlier per 50 interactions', () => {
+    fake.emit('event', [interaction(1, 120), interaction(1, 180), interaction(2, 90)]);
+    expect(monitor.getWebVitals().INP).toMatchObject({
+      value: 180,
+      attribution: { eventType: 'click', target: 'button.buy', interactionCount: 2 },
+    });
+
+    // 50 interactions: the slowest one is ignored
+    const entries = Array.from({ length: 47 }, (_, index) => interaction(index + 3, 100));
+    entries.push(interaction(60, 900));
+    fake.emit('event', entries);
+
+    expect(monitor.getWebVitals().INP).toMatchObject({ value: 180, attribution: { interactionCount: 50 } });
+  });
+
+  it('skips event entries without an interaction id', () => {
+    fake.emit('event', [{ ...interaction(0, 400), interactionId: 0 }]);
+
+    expect(monitor.getWebVitals().INP).toBeUndefined();
+  });
+
+  it('records TTFB relative to activation start', () => {
+    fake.emit('navigation', [{
+      activationStart: 100,
+      responseStart: 1000,
+      requestStart: 600,
+      domainLookupStart: 150,
+      domainLookupEnd: 250,
+      connectStart: 250,
+      connectEnd: 500,
+    }]);
+
+    expect(monitor.getWebVitals().TTFB).toMatchObject({
+      value: 900,
+      rating: 'needs-improvement',
+      attribution: { waitingDuration: 50, dnsDuration: 100, connectionDuration: 250, requestDuration: 400 },
+    });
+  });
+});
+
+describe('Core Web Vitals budgets', () => {
+  let monitor;
+  let fake;
+
+  beforeEach(() => {
+    monitor = new PerformanceMonitor();
+    fake = createFakeObserver();
+    createWebVitalsCollector({ monitor, PerformanceObserver: fake.FakePerformanceObserver }).start();
+  });
+
+  const getVitalViolations = () => monitor.checkPerformanceBudgets()
+    .filter(violation => ['lcp', 'cls', 'inp', 'fcp', 'ttfb'].includes(violation.type));
+
+  it('reports no violation for vitals within budget', () => {
+    fake.emit('paint', [{ name: 'first-contentful-paint', startTime: 1000 }]);
+    fake.emit('largest-contentful-paint', [{ startTime: 2000 }]);
+    fake.emit('layout-shift', [{ startTime: 1000, value: 0.05 }]);
+    fake.emit('event', [interaction(1, 150)]);
+    fake.emit('navigation', [{ responseStart: 500 }]);
+
+    expect(getVitalViolations()).toEqual([]);
+  });
+
+  it('reports every vital over its budget with severity from the rating', () => {
+    fake.emit('paint', [{ name: 'first-contentful-paint', startTime: 2000 }]);
+    fake.emit('largest-contentful-paint', [{ startTime: 5000, element: { tagName: 'IMG', id: 'hero', className: '' } }]);
+    fake.emit('layout-shift', [{ startTime: 1000, value: 0.15 }]);
+    fake.emit('event', [interaction(1, 600)]);
+    fake.emit('navigation', [{ responseStart: 1000 }]);
+
+    const violations = Object.fromEntries(getVitalViolations().map(violation => [violation.type, violation]));
+
+    expect(Object.keys(violations).sort()).toEqual(['cls', 'fcp', 'inp', 'lcp', 'ttfb']);
+    expect(violations.lcp).toMatchObject({
+      budget: 2500,
+      actual: 5000,
+      severity: 'critical',
+      attribution: { element: 'img#hero' },
+    });
+    expect(violations.cls).toMatchObject({ budget: 0.1, actual: 0.15, severity: 'warning' });
+    expect(violations.inp).toMatchObject({ budget: 200, actual: 600, severity: 'critical' });
+    expect(violations.fcp).toMatchObject({ budget: 1800, actual: 2000, severity: 'warning' });
+    expect(violations.ttfb).toMatchObject({ budget: 800, actual: 1000, severity: 'warning' });
+  });
+
+  it('uses custom budgets', () => {
+    monitor.performanceBudgets.lcp = 6000;
+    fake.emit('largest-contentful-paint', [{ startTime: 5000 }]);
+
+    expect(getVitalViolations()).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+import { installWindowGlobals } from '../windowGlobals.js';
+
+describe('installWindowGlobals', () => {
+  beforeEach(() => {
+    global.window = {};
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  it('removes globals it added', () => {
+    const uninstall = installWindowGlobals({ performanceMonitor: 'monitor' });
+    expect(window.performanceMonitor).toBe('monitor');
+
+    uninstall();
+    expect('performanceMonitor' in window).toBe(false);
+  });
+
+  it('keeps a global installed earlier with the same value', () => {
+    const monitor = {};
+    const uninstallDevtools = installWindowGlobals({ performanceMonitor: monitor });
+    const uninstall = installWindowGlobals({ performanceMonitor: monitor, getPerformanceReport: () => {} });
+
+    uninstall();
+    expect(window.performanceMonitor).toBe(monitor);
+    expect('getPerformanceReport' in window).toBe(false);
+
+    uninstallDevtools();
+    expect('performanceMonitor' in window).toBe(false);
+  });
+
+  it('restores a previous value and never clobbers a newer install', () => {
+    window.analyzeBundles = 'app';
+    const uninstall = installWindowGlobals({ analyzeBundles: 'library', stopMemoryMonitoring: 'library' });
+    window.stopMemoryMonitoring = 'newer';
+
+    uninstall();
+    expect(window.analyzeBundles).toBe('app');
+    expect(window.stopMemoryMonitoring).toBe('newer');
+  });
+});
@@ -0,0 +1,92 @@
+// Flame graph data model
+// Turns the render samples of one commit into a parent/child tree with inclusive (`value`)
+// and exclusive (`selfTime`) render time. Nodes have the { name, value, children } shape
+// flame graph and icicle chart libraries (e.g. d3-flame-graph) expect.
+
+export const createFlameNode = (name) => ({
+  name,
+  value: 0, // inclusive time: the component and its subtree
+  selfTime: 0, // exclusive time: the component alone
+  count: 0,
+  children: [],
+});
+
+// Fill in inclusive and self time bottom-up. A parent's measured time already contains its
+// children, but it is never reported as less than its children add up to.
+const finalizeNode = (node) => {
+  const childrenTime = node.children.reduce((sum, child) => sum + finalizeNode(child), 0);
+  node.value = Math.max(node.value, childrenTime);
+  node.selfTime = node.value - childrenTime;
+  return node.value;
+};
+
+// Build the tree for one commit from its renders: [{ componentName, renderTime, parentComponent }].
+// `getParent(componentName)` resolves renders recorded without a parent (e.g. from dependencyGraph).
+// Components whose parent did not render in this commit become roots.
+export const buildFlameGraph = (name, renders, getParent = () => null) => {
+  const nodes = new Map();
+  const parents = new Map();
+
+  renders.forEach(({ componentName, renderTime, parentComponent }) => {
+    const node = nodes.get(componentName) || createFlameNode(componentName);
+    node.value += renderTime;
+    node.count++;
+    nodes.set(componentName, node);
+
+    if (!parents.has(componentName)) {
+      parents.set(componentName, parentComponent || getParent(componentName));
+    }
+  });
+
+  // A component only nests under a parent that rendered in the same commit, and never in a cycle
+  const isNested = (componentName) => {
+    if (!nodes.has(parents.get(componentName))) return false;
+
+    const seen = new Set();
+    let current = parents.get(componentName);
+    while (current && nodes.has(current) && !seen.has(current)) {
+      if (current === componentName) return false;
+      seen.add(current);
+      current = parents.get(current);
+    }
+
+    return true;
+  };
+
+  const root = createFlameNode(name);
+  root.count = 1;
+
+  nodes.forEach((node, componentName) => {
+    const parent = isNested(componentName) ? nodes.get(parents.get(componentName)) : root;
+    parent.children.push(node);
+  });
+
+  finalizeNode(root);
+  return root;
+};
+
+// Merge `source` into `target`, summing times of nodes on the same component path
+export const mergeFlameGraph = (target, source) => {
+  target.value += source.value;
+  target.selfTime += source.selfTime;
+  target.count += source.count;
+
+  source.children.forEach(child => {
+    let match = target.children.find(node => node.name === child.name);
+    if (!match) {
+      match = createFlameNode(child.name);
+      target.children.push(match);
+    }
+    mergeFlameGraph(match, child);
+  });
+
+  return target;
+};
+
+// Visit every node below the root depth-first
+export const walkFlameGraph = (node, visit, depth = 0) => {
+  node.children.forEach(child => {
+    visit(child, depth + 1);
+    walkFlameGraph(child, visit, depth + 1);
+  });
+};
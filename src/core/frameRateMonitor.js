@@ -0,0 +1,60 @@
+// Frame-rate sampling built on requestAnimationFrame
+// Reports every frame duration to a callback; PerformanceMonitor turns them into FPS,
+// dropped-frame and jank-burst metrics
+
+// Duration of one frame at 60fps
+export const FRAME_DURATION = 1000 / 60;
+
+// Frames longer than this count as jank (at least one dropped frame)
+export const JANK_THRESHOLD = FRAME_DURATION * 2;
+
+// Gaps longer than this mean the page was hidden or throttled, not janky
+const MAX_FRAME_GAP = 1000;
+
+// Number of 60fps frames a frame of `duration` ms replaced
+export const countDroppedFrames = (duration) => Math.max(Math.round(duration / FRAME_DURATION) - 1, 0);
+
+// Create a sampler calling `onFrame(duration, timestamp)` once per animation frame.
+// `requestAnimationFrame`/`cancelAnimationFrame` can be injected (e.g. fakes in tests).
+export const createFrameRateSampler = ({
+  onFrame,
+  requestAnimationFrame: raf = typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame : null,
+  cancelAnimationFrame: caf = typeof cancelAnimationFrame !== 'undefined' ? cancelAnimationFrame : null,
+} = {}) => {
+  let frameId = null;
+  let lastTimestamp = null;
+
+  const tick = (timestamp) => {
+    if (lastTimestamp !== null) {
+      const duration = timestamp - lastTimestamp;
+      if (duration > 0 && duration < MAX_FRAME_GAP) {
+        onFrame(duration, timestamp);
+      }
+    }
+
+    lastTimestamp = timestamp;
+    frameId = raf(tick);
+  };
+
+  const start = () => {
+    if (!raf || frameId !== null) return;
+
+    lastTimestamp = null;
+    frameId = raf(tick);
+  };
+
+  const stop = () => {
+    if (frameId !== null && caf) {
+      caf(frameId);
+    }
+    frameId = null;
+    lastTimestamp = null;
+  };
+
+  return {
+    start,
+    stop,
+    isRunning: () => frameId !== null,
+    isSupported: Boolean(raf),
+  };
+};
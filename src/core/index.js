@@ -5,6 +5,16 @@ export {
   usePerformanceMonitor,
   usePerformanceMonitoring,
   withPerformanceMonitoring,
+  useRenderAttribution,
+  useMeasuredMemo,
+  useMeasuredEffect,
+  useMeasuredCallback,
+  useRouteTracking,
+  createMonitoredContext,
+  MonitoredProvider,
+  useMonitoredContext,
+  lazyWithMetrics,
+  MonitoredSuspense,
   analyzeBundleSize,
   detectMemoryLeaks,
   getOptimizationSuggestions,
@@ -12,13 +22,90 @@ export {
   initializePerformanceMonitoring,
   performanceLogger,
   PerformanceContext,
-  PerformanceProvider
+  PerformanceProvider,
+  PerformanceProfiler,
+  PERFORMANCE_EVENTS
 } from './performanceMonitoring.js';
 
+export {
+  configureLogger,
+  getLoggerConfig,
+  addLogSink,
+  createLogger,
+  consoleSink,
+  LOG_LEVELS
+} from './logger.js';
+
+export {
+  computeRenderStatistics,
+  percentile
+} from './renderStatistics.js';
+
+export { installWindowGlobals } from './windowGlobals.js';
+
+export {
+  createWebVitalsCollector,
+  rateWebVital,
+  WEB_VITAL_THRESHOLDS
+} from './webVitals.js';
+
+export { createLongTaskCollector } from './longTaskMonitor.js';
+
+export {
+  createInteractionTracer,
+  INTERACTION_EVENT_TYPES
+} from './interactionTracer.js';
+
+export {
+  createRouteTracker,
+  getPathname
+} from './routeTracker.js';
+
+export {
+  instrumentStore,
+  reduxStoreAdapter,
+  subscribeStoreAdapter,
+  STORE_ADAPTERS
+} from './storeInstrumentation.js';
+
+export {
+  createNetworkCollector,
+  getUrlPattern
+} from './networkInstrumentation.js';
+
+export {
+  createResourceCollector,
+  analyzeResources,
+  analyzeResource,
+  summarizeResources,
+  RESOURCE_CATEGORIES
+} from './resourceAnalyzer.js';
+
+export {
+  attributeRender,
+  diffValues,
+  isValueEqual
+} from './renderAttribution.js';
+
+export {
+  createFrameRateSampler,
+  countDroppedFrames,
+  FRAME_DURATION,
+  JANK_THRESHOLD
+} from './frameRateMonitor.js';
+
+export {
+  buildFlameGraph,
+  mergeFlameGraph,
+  walkFlameGraph,
+  createFlameNode
+} from './flameGraph.js';
+
 export {
   PerformanceComparator,
   measureComponentRender,
-  measureDataProcessing
+  measureDataProcessing,
+  installComparatorGlobals
 } from './performanceComparator.js';
 
 export { default as performanceComparator } from './performanceComparator.js';
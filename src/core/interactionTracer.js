@@ -0,0 +1,205 @@
+// Interaction latency tracing
+// Links a click or keypress to the component renders it causes and to the next paint, and
+// reports input delay, processing time and presentation delay to a PerformanceMonitor.
+// Timings are estimated from event timestamps and refined with Event Timing entries when available.
+
+import { observeEntries, describeElement, getPerformanceObserver } from './observerUtils.js';
+
+export const INTERACTION_EVENT_TYPES = ['click', 'keydown'];
+
+// Recently finished interactions kept for matching late Event Timing entries
+const MAX_RECENT_INTERACTIONS = 20;
+
+// Event Timing entries kept until the interaction they belong to finishes
+const MAX_BUFFERED_ENTRIES = 50;
+
+// Interaction name: the closest `data-interaction` attribute, otherwise event type and target
+const getInteractionName = (event) => {
+  const target = event.target;
+  const named = target && typeof target.closest === 'function'
+    ? target.closest('[data-interaction]')
+    : null;
+
+  if (named) {
+    return named.getAttribute('data-interaction');
+  }
+  return `${event.type} ${describeElement(target) || 'document'}`;
+};
+
+// Create a tracer that reports interactions to `monitor.recordInteraction`.
+// `target`, `PerformanceObserver` and `requestAnimationFrame` can be injected (e.g. fakes in tests).
+export const createInteractionTracer = ({
+  monitor,
+  target = typeof document !== 'undefined' ? document : null,
+  eventTypes = INTERACTION_EVENT_TYPES,
+  PerformanceObserver: PerformanceObserverImpl = getPerformanceObserver(),
+  requestAnimationFrame: raf = typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame : null,
+} = {}) => {
+  let nextInteractionId = 1;
+  let current = null;
+  let recent = [];
+  let bufferedEntries = [];
+  let listeners = [];
+  let observer = null;
+  let unsubscribeRender = null;
+
+  // Use Event Timing data when the browser reports this interaction
+  const applyEventTiming = (interaction, entry) => {
+    Object.assign(interaction, {
+      startTime: entry.startTime,
+      inputDelay: entry.processingStart - entry.startTime,
+      processingTime: entry.processingEnd - entry.processingStart,
+      presentationDelay: entry.startTime + entry.duration - entry.processingEnd,
+      duration: entry.duration,
+      source: 'event-timing',
+    });
+  };
+
+  const isEntryOf = (interaction, entry) => (
+    interaction.type === entry.name && Math.abs(interaction.startTime - entry.startTime) < 1
+  );
+
+  // Entries usually arrive before the interaction finishes: buffer them until finish() matches
+  // them. Entries delivered after that refine the recorded interaction in place.
+  const handleEventEntries = (entries) => {
+    entries.forEach(entry => {
+      const interaction = recent.find(candidate => isEntryOf(candidate, entry));
+      if (interaction) {
+        if (interaction.source !== 'event-timing') {
+          applyEventTiming(interaction, entry);
+        }
+        return;
+      }
+
+      bufferedEntries.push(entry);
+      // Keep only last 50 unmatched entries
+      if (bufferedEntries.length > MAX_BUFFERED_ENTRIES) {
+        bufferedEntries.shift();
+      }
+    });
+  };
+
+  const finish = (interaction, paintTime) => {
+    if (current === interaction) {
+      current = null;
+    }
+    // Stopped while the interaction was in flight
+    if (listeners.length === 0) return;
+
+    const lastRenderEnd = interaction.renders.reduce((latest, render) => Math.max(latest, render.endTime), 0);
+    const processingEnd = Math.min(Math.max(interaction.processingEnd, lastRenderEnd), paintTime);
+
+    const components = {};
+    interaction.renders.forEach(({ componentName, renderTime }) => {
+      const component = components[componentName] || { renders: 0, renderTime: 0 };
+      component.renders++;
+      component.renderTime += renderTime;
+      components[componentName] = component;
+    });
+
+    const result = {
+      id: interaction.id,
+      name: interaction.name,
+      type: interaction.type,
+      target: interaction.target,
+      startTime: interaction.startTime,
+      inputDelay: interaction.processingStart - interaction.startTime,
+      processingTime: processingEnd - interaction.processingStart,
+      presentationDelay: paintTime - processingEnd,
+      duration: paintTime - interaction.startTime,
+      components,
+      source: 'estimate',
+      timestamp: Date.now(),
+    };
+
+    const entry = bufferedEntries.find(candidate => isEntryOf(result, candidate));
+    if (entry) {
+      applyEventTiming(result, entry);
+      bufferedEntries = bufferedEntries.filter(candidate => candidate !== entry);
+    }
+
+    recent.push(result);
+    if (recent.length > MAX_RECENT_INTERACTIONS) {
+      recent.shift();
+    }
+
+    monitor.recordInteraction(result);
+  };
+
+  const handleEvent = (event) => {
+    const now = performance.now();
+    // event.timeStamp shares the performance.now() time base in current browsers
+    const startTime = event.timeStamp > 0 && event.timeStamp <= now ? event.timeStamp : now;
+
+    const interaction = {
+      id: nextInteractionId++,
+      name: getInteractionName(event),
+      type: event.type,
+      target: describeElement(event.target),
+      startTime,
+      processingStart: now,
+      processingEnd: now,
+      renders: [],
+    };
+    current = interaction;
+
+    // Runs after the app's handlers once the event finished propagating
+    setTimeout(() => {
+      interaction.processingEnd = Math.max(interaction.processingEnd, performance.now());
+    }, 0);
+
+    // A task queued from the next animation frame runs once that frame has been painted
+    const afterPaint = () => setTimeout(() => finish(interaction, performance.now()), 0);
+    if (raf) {
+      raf(afterPaint);
+    } else {
+      afterPaint();
+    }
+  };
+
+  const start = () => {
+    if (!target || listeners.length > 0) return;
+
+    eventTypes.forEach(type => {
+      // Capture phase: before any handler of the app runs
+      target.addEventListener(type, handleEvent, true);
+      listeners.push(() => target.removeEventListener(type, handleEvent, true));
+    });
+
+    unsubscribeRender = monitor.on('render', ({ componentName, sample }) => {
+      if (current) {
+        current.renders.push({
+          componentName,
+          renderTime: sample.renderTime,
+          endTime: sample.startTime + sample.renderTime,
+        });
+      }
+    });
+
+    observer = observeEntries('event', handleEventEntries, { durationThreshold: 16 }, PerformanceObserverImpl);
+  };
+
+  const stop = () => {
+    listeners.forEach(remove => remove());
+    listeners = [];
+
+    if (unsubscribeRender) {
+      unsubscribeRender();
+      unsubscribeRender = null;
+    }
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+
+    current = null;
+    recent = [];
+    bufferedEntries = [];
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(target),
+  };
+};
@@ -0,0 +1,146 @@
+// Logging pipeline shared by every analyzer module
+// Supports log levels, a silent mode, structured JSON output and custom sink functions
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+// JSON.stringify replacer that keeps Maps, Sets, Errors and circular data readable
+const createJsonReplacer = () => {
+  const seen = new WeakSet();
+
+  return (key, value) => {
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return Array.from(value);
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  };
+};
+
+export const serializeLogEntry = (entry) => JSON.stringify(entry, createJsonReplacer());
+
+// Default sink - writes to the console in the configured format
+export const consoleSink = (entry, config) => {
+  if (typeof console === 'undefined') return;
+
+  const method = console[CONSOLE_METHODS[entry.level]] ? CONSOLE_METHODS[entry.level] : 'log';
+
+  if (config.format === 'json') {
+    console[method](serializeLogEntry(entry));
+    return;
+  }
+
+  if (entry.table && console.table) {
+    console.log(entry.message);
+    console.table(entry.data);
+    return;
+  }
+
+  if (entry.data === undefined) {
+    console[method](entry.message);
+  } else {
+    console[method](entry.message, entry.data);
+  }
+};
+
+const loggerConfig = {
+  level: 'info',
+  format: 'text', // 'text' | 'json'
+  sinks: [consoleSink],
+};
+
+// Configure the shared pipeline: { level, silent, format, sinks }
+export const configureLogger = (options = {}) => {
+  if (options.level !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, options.level)) {
+      throw new Error(`Unknown log level: ${options.level}`);
+    }
+    loggerConfig.level = options.level;
+  }
+
+  if (options.silent !== undefined) {
+    if (options.silent) {
+      loggerConfig.level = 'silent';
+    } else if (loggerConfig.level === 'silent') {
+      loggerConfig.level = options.level || 'info';
+    }
+  }
+
+  if (options.format !== undefined) {
+    loggerConfig.format = options.format;
+  }
+
+  if (options.sinks !== undefined) {
+    loggerConfig.sinks = [...options.sinks];
+  }
+
+  return getLoggerConfig();
+};
+
+export const getLoggerConfig = () => ({
+  level: loggerConfig.level,
+  format: loggerConfig.format,
+  sinks: [...loggerConfig.sinks],
+});
+
+// Add a sink next to the existing ones; returns a function that removes it
+export const addLogSink = (sink) => {
+  loggerConfig.sinks.push(sink);
+
+  return () => {
+    loggerConfig.sinks = loggerConfig.sinks.filter(existing => existing !== sink);
+  };
+};
+
+const isLevelEnabled = (level) => LOG_LEVELS[level] >= LOG_LEVELS[loggerConfig.level];
+
+const writeEntry = (entry) => {
+  loggerConfig.sinks.forEach(sink => {
+    try {
+      sink(entry, loggerConfig);
+    } catch (error) {
+      // A failing sink must never break the code being measured
+    }
+  });
+};
+
+// Create a logger bound to a scope (the module or feature emitting the entries)
+export const createLogger = (scope) => {
+  const log = (level, message, data, extra) => {
+    if (!isLevelEnabled(level)) return;
+
+    writeEntry({
+      level,
+      scope,
+      message,
+      data,
+      timestamp: Date.now(),
+      ...extra,
+    });
+  };
+
+  return {
+    debug: (message, data) => log('debug', message, data),
+    info: (message, data) => log('info', message, data),
+    warn: (message, data) => log('warn', message, data),
+    error: (message, data) => log('error', message, data),
+    table: (data, message = '') => log('info', message, data, { table: true }),
+    isLevelEnabled,
+  };
+};
@@ -0,0 +1,68 @@
+// Long task and long-animation-frame detection
+// Feeds blocked frames into a PerformanceMonitor, which attributes them to the component
+// renders recorded in the same time window
+
+import { observeEntries, getPerformanceObserver } from './observerUtils.js';
+
+// Normalize a long-animation-frame entry
+const fromLongAnimationFrame = (entry) => ({
+  type: 'long-animation-frame',
+  startTime: entry.startTime,
+  duration: entry.duration,
+  blockingDuration: entry.blockingDuration ?? Math.max(entry.duration - 50, 0),
+  renderStart: entry.renderStart,
+  styleAndLayoutStart: entry.styleAndLayoutStart,
+  scripts: (entry.scripts || []).map(script => ({
+    invoker: script.invoker,
+    invokerType: script.invokerType,
+    sourceURL: script.sourceURL,
+    sourceFunctionName: script.sourceFunctionName,
+    duration: script.duration,
+  })),
+});
+
+// Normalize a longtask entry
+const fromLongTask = (entry) => ({
+  type: 'longtask',
+  startTime: entry.startTime,
+  duration: entry.duration,
+  blockingDuration: Math.max(entry.duration - 50, 0),
+  scripts: (entry.attribution || []).map(attribution => ({
+    invoker: attribution.containerName || attribution.name,
+    invokerType: attribution.containerType,
+    sourceURL: attribution.containerSrc,
+  })),
+});
+
+// Create a collector that reports blocked frames to `monitor.recordLongTask`.
+// Long animation frames are preferred; plain long tasks are the fallback where LoAF is unsupported.
+export const createLongTaskCollector = ({ monitor, PerformanceObserver: PerformanceObserverImpl = getPerformanceObserver() } = {}) => {
+  let observers = [];
+
+  const start = () => {
+    if (observers.length > 0) return;
+
+    const frameObserver = observeEntries('long-animation-frame', (entries) => {
+      entries.forEach(entry => monitor.recordLongTask(fromLongAnimationFrame(entry)));
+    }, {}, PerformanceObserverImpl);
+
+    const observer = frameObserver || observeEntries('longtask', (entries) => {
+      entries.forEach(entry => monitor.recordLongTask(fromLongTask(entry)));
+    }, {}, PerformanceObserverImpl);
+
+    if (observer) {
+      observers.push(observer);
+    }
+  };
+
+  const stop = () => {
+    observers.forEach(observer => observer.disconnect());
+    observers = [];
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(PerformanceObserverImpl),
+  };
+};
@@ -0,0 +1,158 @@
+// Network request instrumentation (opt-in)
+// Wraps fetch and XMLHttpRequest to time every request and reports URL pattern, method, status
+// and payload size to `monitor.recordNetworkRequest`. Requests are attributed to the monitored
+// component whose effects or measured callbacks started them (`monitor.getActiveComponent()`);
+// the monitor reports the others as '(unattributed)'.
+// fetch is timed until the response headers arrive, XMLHttpRequest until loadend.
+
+// Path segments that identify a record rather than an endpoint: numbers, UUIDs and long hex ids
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+// URL pattern of a request: query string dropped and ids collapsed, e.g. /users/42 -> /users/:id.
+// Same-origin requests are reported by path, others keep their origin.
+export const getUrlPattern = (url, origin) => {
+  let parsed;
+  try {
+    parsed = new URL(url, origin);
+  } catch (error) {
+    return String(url);
+  }
+
+  const path = parsed.pathname
+    .split('/')
+    .map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+
+  return parsed.origin === origin ? path : `${parsed.origin}${path}`;
+};
+
+const parseSize = (value) => {
+  const size = parseInt(value, 10);
+  return Number.isFinite(size) ? size : null;
+};
+
+// Response size of a finished XMLHttpRequest: Content-Length, otherwise the body read so far
+const getXhrSize = (xhr) => {
+  const size = parseSize(xhr.getResponseHeader('content-length'));
+  if (size !== null) return size;
+
+  const { response } = xhr;
+  if (typeof response === 'string') return response.length;
+  if (response && response.byteLength !== undefined) return response.byteLength;
+  if (response && response.size !== undefined) return response.size;
+  return null;
+};
+
+// Create a collector that patches window.fetch and XMLHttpRequest.prototype.
+// Options: { monitor, window, getUrlPattern(url, origin), ignore(url) } - use `ignore` to skip
+// e.g. analytics beacons or the app's own reporting endpoint.
+export const createNetworkCollector = ({
+  monitor,
+  window: win = typeof window !== 'undefined' ? window : null,
+  getUrlPattern: toPattern = getUrlPattern,
+  ignore = () => false,
+} = {}) => {
+  let cleanups = [];
+  // XMLHttpRequest -> { method, url } from open()
+  const xhrRequests = new WeakMap();
+
+  const begin = (url, method) => ({
+    url,
+    pattern: toPattern(url, win.location ? win.location.origin : undefined),
+    method,
+    component: monitor.getActiveComponent(),
+    startTime: performance.now(),
+    timestamp: Date.now(),
+  });
+
+  const finish = (request, { status, size = null, error }) => {
+    // Stopped while the request was in flight
+    if (cleanups.length === 0) return;
+
+    const endTime = performance.now();
+    monitor.recordNetworkRequest({
+      ...request,
+      endTime,
+      duration: endTime - request.startTime,
+      status,
+      ok: status >= 200 && status < 400,
+      size,
+      error,
+    });
+  };
+
+  // Replace a method; restored on stop unless someone replaced it after us
+  const patch = (target, method, createPatched) => {
+    const original = target[method];
+    const patched = createPatched(original);
+
+    target[method] = patched;
+    cleanups.push(() => {
+      if (target[method] === patched) {
+        target[method] = original;
+      }
+    });
+  };
+
+  const patchFetch = () => patch(win, 'fetch', (original) => function (input, init) {
+    const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+    // fetch must be called on the window, not on whatever `this` the caller used
+    if (ignore(url)) return original.apply(win, arguments);
+
+    const method = String((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+    const request = begin(url, method);
+
+    return original.apply(win, arguments).then(
+      (response) => {
+        finish(request, { status: response.status, size: parseSize(response.headers.get('content-length')) });
+        return response;
+      },
+      (error) => {
+        finish(request, { status: 0, error: error && error.message });
+        throw error;
+      }
+    );
+  });
+
+  const patchXhr = () => {
+    const prototype = win.XMLHttpRequest.prototype;
+
+    patch(prototype, 'open', (original) => function (method, url) {
+      xhrRequests.set(this, { method: String(method).toUpperCase(), url: String(url) });
+      return original.apply(this, arguments);
+    });
+
+    patch(prototype, 'send', (original) => function () {
+      const info = xhrRequests.get(this);
+      if (info && !ignore(info.url)) {
+        const request = begin(info.url, info.method);
+        this.addEventListener('loadend', () => {
+          finish(request, { status: this.status, size: this.status > 0 ? getXhrSize(this) : null });
+        }, { once: true });
+      }
+      return original.apply(this, arguments);
+    });
+  };
+
+  const start = () => {
+    if (!win || cleanups.length > 0) return;
+
+    if (typeof win.fetch === 'function') {
+      patchFetch();
+    }
+    if (typeof win.XMLHttpRequest === 'function') {
+      patchXhr();
+    }
+  };
+
+  const stop = () => {
+    cleanups.forEach(cleanup => cleanup());
+    cleanups = [];
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(win && (typeof win.fetch === 'function' || typeof win.XMLHttpRequest === 'function')),
+  };
+};
@@ -0,0 +1,39 @@
+// PerformanceObserver helpers shared by the page-level collectors
+
+// The PerformanceObserver implementation available in this environment, if any
+export const getPerformanceObserver = () => (
+  typeof PerformanceObserver !== 'undefined' ? PerformanceObserver : null
+);
+
+// Observe one entry type; returns the observer, or null when the type is not supported.
+// `PerformanceObserverImpl` can be injected (e.g. a fake in tests).
+export const observeEntries = (type, callback, options = {}, PerformanceObserverImpl = getPerformanceObserver()) => {
+  if (!PerformanceObserverImpl) return null;
+
+  const supported = PerformanceObserverImpl.supportedEntryTypes;
+  if (Array.isArray(supported) && !supported.includes(type)) return null;
+
+  try {
+    const observer = new PerformanceObserverImpl((list) => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    return observer;
+  } catch (error) {
+    // Older browsers throw for unknown entry types
+    return null;
+  }
+};
+
+// Short CSS-like description of a DOM node for attribution: tag#id.class
+export const describeElement = (node) => {
+  if (!node || !node.tagName) return null;
+
+  let description = node.tagName.toLowerCase();
+  if (node.id) {
+    description += `#${node.id}`;
+  }
+  if (typeof node.className === 'string' && node.className.trim()) {
+    description += `.${node.className.trim().split(/\s+/).join('.')}`;
+  }
+
+  return description;
+};
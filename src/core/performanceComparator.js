@@ -1,6 +1,11 @@
 // Performance Comparison and Analysis Tool
 // This utility helps compare performance before and after optimizations
 
+import { createLogger } from './logger.js';
+import { installWindowGlobals } from './windowGlobals.js';
+
+const logger = createLogger('comparator');
+
 class PerformanceComparator {
   constructor() {
     this.baselines = new Map();
@@ -14,7 +19,7 @@ class PerformanceComparator {
       ...metrics,
       timestamp: Date.now(),
     });
-    console.log(`📊 Baseline set for ${componentName}:`, metrics);
+    logger.info(`📊 Baseline set for ${componentName}:`, metrics);
   }
 
   // Record current performance metrics (after optimization)
@@ -23,7 +28,7 @@ class PerformanceComparator {
       ...metrics,
       timestamp: Date.now(),
     });
-    console.log(`📈 Current metrics recorded for ${componentName}:`, metrics);
+    logger.info(`📈 Current metrics recorded for ${componentName}:`, metrics);
   }
 
   // Compare performance between baseline and current
@@ -32,7 +37,7 @@ class PerformanceComparator {
     const current = this.currentMetrics.get(componentName);
 
     if (!baseline || !current) {
-      console.warn(`❌ Missing data for ${componentName}. Need both baseline and current metrics.`);
+      logger.warn(`❌ Missing data for ${componentName}. Need both baseline and current metrics.`);
       return null;
     }
 
@@ -177,7 +182,7 @@ class PerformanceComparator {
       results,
     };
 
-    console.log(`🔬 Benchmark for ${componentName}:`, benchmarkResult);
+    logger.info(`🔬 Benchmark for ${componentName}:`, benchmarkResult);
     return benchmarkResult;
   }
 
@@ -186,7 +191,7 @@ class PerformanceComparator {
     this.baselines.clear();
     this.currentMetrics.clear();
     this.comparisonResults = [];
-    console.log('🧹 Performance comparison data cleared');
+    logger.info('🧹 Performance comparison data cleared');
   }
 
   // Export comparison data
@@ -206,7 +211,7 @@ class PerformanceComparator {
     a.click();
     URL.revokeObjectURL(url);
     
-    console.log('📥 Performance comparison data exported');
+    logger.info('📥 Performance comparison data exported');
   }
 }
 
@@ -247,12 +252,12 @@ export const measureDataProcessing = (processFunction, data) => {
 // Create global instance
 const performanceComparator = new PerformanceComparator();
 
-// Expose to window for easy access in development
-if (typeof window !== 'undefined' && process.env.NODE_ENV === 'development') {
-  window.performanceComparator = performanceComparator;
-  window.measureComponentRender = measureComponentRender;
-  window.measureDataProcessing = measureDataProcessing;
-}
+// Expose to window for easy access in the browser console; returns an uninstall function
+export const installComparatorGlobals = () => installWindowGlobals({
+  performanceComparator,
+  measureComponentRender,
+  measureDataProcessing,
+});
 
 export default performanceComparator;
 export { PerformanceComparator };
@@ -1,5 +1,20 @@
 // Performance monitoring utilities
 import React from 'react';
+import { computeRenderStatistics, percentile } from './renderStatistics.js';
+import { createLogger, configureLogger, addLogSink } from './logger.js';
+import { installWindowGlobals } from './windowGlobals.js';
+import { createWebVitalsCollector, rateWebVital } from './webVitals.js';
+import { createLongTaskCollector } from './longTaskMonitor.js';
+import { createInteractionTracer } from './interactionTracer.js';
+import { createRouteTracker } from './routeTracker.js';
+import { instrumentStore } from './storeInstrumentation.js';
+import { createNetworkCollector } from './networkInstrumentation.js';
+import { analyzeResources, createResourceCollector, summarizeResources } from './resourceAnalyzer.js';
+import { attributeRender, diffValues, isValueEqual } from './renderAttribution.js';
+import { buildFlameGraph, createFlameNode, mergeFlameGraph, walkFlameGraph } from './flameGraph.js';
+import { createFrameRateSampler, countDroppedFrames, FRAME_DURATION, JANK_THRESHOLD } from './frameRateMonitor.js';
+
+const logger = createLogger('monitor');
 
 // Performance Context for component hierarchy tracking
 export const PerformanceContext = React.createContext({
@@ -8,7 +23,8 @@ export const PerformanceContext = React.createContext({
 });
 
 // Performance Provider Component
-export const PerformanceProvider = ({ children, componentName, profilingSession }) => {
+// Pass `profile` to also measure the subtree with React.Profiler
+export const PerformanceProvider = ({ children, componentName, profilingSession, profile = false }) => {
   const contextValue = React.useMemo(() => ({
     parentComponent: componentName,
     profilingSession
@@ -16,11 +32,116 @@ export const PerformanceProvider = ({ children, componentName, profilingSession
 
   return (
     <PerformanceContext.Provider value={contextValue}>
-      {children}
+      {profile ? (
+        <PerformanceProfiler id={componentName}>
+          {children}
+        </PerformanceProfiler>
+      ) : children}
     </PerformanceContext.Provider>
   );
 };
 
+// React.Profiler integration - reports the same commit timings as React DevTools.
+// Note: React only calls onRender in development and profiling builds.
+export const PerformanceProfiler = ({ id, children }) => {
+  const handleRender = React.useCallback((profilerId, phase, actualDuration, baseDuration, startTime, commitTime) => {
+    performanceMonitor.recordProfilerCommit(profilerId, {
+      phase,
+      actualDuration,
+      baseDuration,
+      startTime,
+      commitTime
+    });
+  }, []);
+
+  return (
+    <React.Profiler id={id} onRender={handleRender}>
+      {children}
+    </React.Profiler>
+  );
+};
+
+// Events emitted by PerformanceMonitor - subscribe with monitor.on(event, handler)
+export const PERFORMANCE_EVENTS = {
+  SLOW_RENDER: 'slowRender',
+  BUDGET_VIOLATION: 'budgetViolation',
+  MEMORY_LEAK_SUSPECTED: 'memoryLeakSuspected',
+  SLOW_BUNDLE: 'slowBundle',
+  SESSION_START: 'sessionStart',
+  SESSION_END: 'sessionEnd',
+  WEB_VITAL: 'webVital',
+  LONG_TASK: 'longTask',
+  JANK: 'jank',
+  RENDER: 'render',
+  INTERACTION: 'interaction',
+  NAVIGATION: 'navigation',
+};
+
+// Frame samples kept for frame-rate statistics (~10s at 60fps)
+const MAX_FRAME_SAMPLES = 600;
+
+// Component that measured hooks and spans are attributed to when no monitored component encloses them
+const UNMONITORED_COMPONENT = '(unmonitored)';
+
+// Component of network requests started while no monitored component was active. fetch/XHR run
+// outside rendering, where PerformanceContext cannot be read, so this includes requests from
+// plain event handlers and plain effects of monitored components - the source is unknown.
+const UNATTRIBUTED_REQUEST = '(unattributed)';
+
+// Timed phases of a render sample; each field doubles as the name of its performance budget
+const RENDER_PHASES = [
+  { field: 'renderTime', label: 'render' },
+  { field: 'layoutEffectTime', label: 'layout effect' },
+  { field: 'passiveEffectTime', label: 'passive effect' },
+];
+
+const createFrameMetrics = () => ({
+  durations: [],
+  totalFrames: 0,
+  droppedFrames: 0,
+  jankBursts: [],
+});
+
+// Summarize frame metrics into FPS, dropped-frame and jank statistics
+const summarizeFrames = (frames) => {
+  const frameTime = computeRenderStatistics(frames.durations);
+  if (!frameTime) return null;
+
+  // FPS over the most recent second of frames
+  let recentTime = 0;
+  let recentFrames = 0;
+  for (let i = frames.durations.length - 1; i >= 0 && recentTime < 1000; i--) {
+    recentTime += frames.durations[i];
+    recentFrames++;
+  }
+
+  return {
+    currentFps: recentFrames / (recentTime / 1000),
+    averageFps: 1000 / frameTime.mean,
+    frameTime,
+    totalFrames: frames.totalFrames,
+    droppedFrames: frames.droppedFrames,
+    jankFrames: frames.durations.filter(duration => duration > JANK_THRESHOLD).length,
+    jankBursts: frames.jankBursts.length,
+    worstJankIntervals: [...frames.jankBursts]
+      .sort((a, b) => b.droppedFrames - a.droppedFrames)
+      .slice(0, 5),
+  };
+};
+
+// Props responsible for most re-renders, worst first
+const getCulpritProps = (renderCauses, limit = 3) => (
+  Object.entries(renderCauses.props)
+    .map(([name, prop]) => ({ name, ...prop }))
+    .sort((a, b) => b.referenceOnly - a.referenceOnly || b.changes - a.changes)
+    .slice(0, limit)
+);
+
+// CLS is a unitless score, every other vital is in milliseconds
+const formatWebVital = ({ name, value }) => (
+  name === 'CLS' ? value.toFixed(3) : `${value.toFixed(0)}ms`
+);
+
 export class PerformanceMonitor {
   constructor() {
     this.metrics = {
@@ -30,6 +151,27 @@ export class PerformanceMonitor {
       slowComponents: new Set(),
       componentDependencies: new Map(), // New: track component relationships
       renderHistory: new Map(), // New: track render history per component
+      profilerCommits: new Map(), // React.Profiler commit timings per profiler id
+      webVitals: new Map(), // Core Web Vitals: LCP, CLS, INP, FCP, TTFB
+      longTasks: [], // long tasks / long animation frames with contributing components
+      longTaskContributions: new Map(), // component -> { count, renderTime }
+      frames: createFrameMetrics(), // requestAnimationFrame frame durations and jank bursts
+      renderCauses: new Map(), // component -> why it re-rendered (props/state/context/parent)
+      commits: [], // render samples grouped per React commit, with a flame graph each
+      renderTimeBreakdown: new Map(), // component -> { commits, inclusiveTime, selfTime }
+      instanceMetrics: new Map(), // component -> Map(instanceId -> per-instance render totals)
+      hookMetrics: new Map(), // component -> Map(label -> measured memo/effect/callback metrics)
+      spans: new Map(), // component -> finished operation spans (usePerformanceMonitoring timers)
+      marks: [], // User Timing marks taken through mark()
+      measures: [], // User Timing measures taken through measure()
+      interactions: [], // click/keypress -> renders -> paint latency (see ./interactionTracer.js)
+      routes: new Map(), // route -> navigations, component renders, budget violations and memory
+      storeActions: [], // instrumented store updates with the renders they triggered
+      storeActionStats: new Map(), // `${store}:${type}` -> totals per action type
+      contexts: new Map(), // monitored context -> provider value changes and consumer fan-out
+      suspenseFallbacks: [], // MonitoredSuspense fallbacks with the lazy chunks that caused them
+      networkRequests: [], // fetch/XHR requests with the component that started them
+      resources: new Map(), // asset URL -> size, compression, cache and origin (see ./resourceAnalyzer.js)
     };
     
     this.thresholds = {
@@ -38,89 +180,1608 @@ export class PerformanceMonitor {
       memoryLimit: 50 * 1024 * 1024, // 50MB
     };
 
-    // New: Performance budgets
-    this.performanceBudgets = {
-      renderTime: 16, // ms per component
-      totalRenderTime: 100, // ms per frame
-      memoryUsage: 50 * 1024 * 1024, // 50MB
-      bundleSize: 2 * 1024 * 1024, // 2MB
-      componentCount: 100, // max components per page
-      reRendersPerSecond: 30, // max re-renders per component per second
+    // New: Performance budgets
+    this.performanceBudgets = {
+      renderTime: 16, // ms per component
+      totalRenderTime: 100, // ms per frame
+      memoryUsage: 50 * 1024 * 1024, // 50MB
+      bundleSize: 2 * 1024 * 1024, // 2MB
+      layoutEffectTime: 16, // ms per component, blocks paint
+      passiveEffectTime: 50, // ms per component, runs after paint
+      apiResponseTime: 1000, // ms per request pattern at p95
+      componentCount: 100, // max components per page
+      reRendersPerSecond: 30, // max re-renders per component per second
+      // Core Web Vitals ("good" thresholds)
+      lcp: 2500, // ms
+      cls: 0.1, // unitless layout shift score
+      inp: 200, // ms
+      fcp: 1800, // ms
+      ttfb: 800, // ms
+    };
+
+    // Number of render samples kept per component for statistics
+    this.maxRenderSamples = 100;
+
+    // Number of instances tracked per component (least recently rendered are dropped first)
+    this.maxInstancesPerComponent = 1000;
+
+    // Periodic memory sampling state (see startMonitoring/stopMonitoring)
+    this.isMonitoring = false;
+    this.monitoringInterval = null;
+    this.frameSampler = null;
+    this.activeJankBurst = null;
+
+    this.nextSpanId = 1;
+
+    // performance.now() of the latest snapshot - snapshots reference the marks taken since
+    this.lastSnapshotTime = 0;
+
+    // Commit grouping state (see getRenderPassId/addRenderToCommit/closeCommit)
+    this.pendingCommits = new Map(); // commit id -> commit still receiving samples
+    this.renderPassId = null;
+    this.nextCommitId = 1;
+
+    // Route state (see startNavigation): renders, violations and memory go to the current route
+    this.currentRoute = null;
+    this.pendingNavigation = null;
+    this.navigationSettleTimer = null;
+    this.routeSettleTime = 100; // ms without renders after which a navigation counts as settled
+
+    // Monitored components whose effects or measured callbacks are running (see enterComponent)
+    this.activeComponents = [];
+
+    // Profiling sessions by name, including completed ones
+    this.sessions = new Map();
+    this.currentSession = null;
+
+    // Event subscriptions: event name -> Set of handlers
+    this.listeners = new Map();
+
+    // New: Budget violations tracking
+    this.budgetViolations = [];
+    this.dependencyGraph = new Map(); // Component dependency graph
+  }
+
+  // Subscribe to a monitor event; returns an unsubscribe function
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+
+    return () => this.off(event, handler);
+  }
+
+  // Unsubscribe a handler, every handler of an event, or everything when called without arguments
+  off(event, handler) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else if (handler === undefined) {
+      this.listeners.delete(event);
+    } else if (this.listeners.has(event)) {
+      this.listeners.get(event).delete(handler);
+    }
+  }
+
+  emit(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while being notified
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        logger.error(`❌ Performance event handler for '${event}' failed:`, error);
+      }
+    });
+  }
+
+  // Monitor component render performance
+  measureComponentRender(componentName, renderFn) {
+    const startTime = performance.now();
+    const result = renderFn();
+    const endTime = performance.now();
+    
+    this.recordRender(componentName, endTime - startTime);
+    
+    return result;
+  }
+
+  // Record a render sample into the component's bounded render history
+  recordRender(componentName, renderTime, details = {}) {
+    this.metrics.componentRenderTimes.set(componentName, renderTime);
+
+    if (!this.metrics.renderHistory.has(componentName)) {
+      this.metrics.renderHistory.set(componentName, []);
+    }
+
+    const history = this.metrics.renderHistory.get(componentName);
+    const sample = {
+      timestamp: Date.now(),
+      // Same time base as PerformanceObserver entries; callers recording later pass details.startTime
+      startTime: performance.now() - renderTime,
+      renderTime,
+      context: 'render',
+      route: this.currentRoute,
+      ...details
+    };
+    sample.commitId = this.addRenderToCommit(componentName, sample);
+    history.push(sample);
+
+    if (details.instanceId !== undefined) {
+      this.recordInstanceRender(componentName, details.instanceId, renderTime);
+    }
+
+    this.recordRouteRender(componentName, renderTime);
+
+    if (history.length > this.maxRenderSamples) {
+      history.shift();
+    }
+
+    if (renderTime > this.thresholds.slowRender) {
+      this.metrics.slowComponents.add(componentName);
+      logger.warn(`Slow render: ${componentName} took ${renderTime.toFixed(2)}ms`);
+      this.emit(PERFORMANCE_EVENTS.SLOW_RENDER, {
+        componentName,
+        renderTime,
+        threshold: this.thresholds.slowRender,
+        sample,
+      });
+    }
+
+    this.emit(PERFORMANCE_EVENTS.RENDER, { componentName, sample });
+
+    return sample;
+  }
+
+  // Start timing an operation of a component. Spans nest through parentId.
+  startSpan(componentName, name, { parentId = null } = {}) {
+    return {
+      id: this.nextSpanId++,
+      componentName,
+      name,
+      parentId,
+      startTime: performance.now()
+    };
+  }
+
+  // Finish a span from startSpan and record it under its component
+  endSpan(span, { error } = {}) {
+    const finished = {
+      ...span,
+      duration: performance.now() - span.startTime,
+      status: error ? 'error' : 'ok',
+      error: error ? String(error.message || error) : undefined,
+      timestamp: Date.now()
+    };
+
+    if (!this.metrics.spans.has(span.componentName)) {
+      this.metrics.spans.set(span.componentName, []);
+    }
+
+    const spans = this.metrics.spans.get(span.componentName);
+    spans.push(finished);
+
+    // Keep only last 100 spans per component
+    if (spans.length > 100) {
+      spans.shift();
+    }
+
+    return finished;
+  }
+
+  getSpans(componentName) {
+    return this.metrics.spans.get(componentName) || [];
+  }
+
+  // Spans of a component nested by parentId; spans whose parent is gone become roots
+  getSpanTree(componentName) {
+    const spans = this.getSpans(componentName);
+    const nodes = new Map(spans.map(span => [span.id, { ...span, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parentId !== null ? nodes.get(node.parentId) : null;
+      (parent ? parent.children : roots).push(node);
+    });
+
+    return roots;
+  }
+
+  // Duration statistics and failure count per operation name of a component
+  getOperationStats(componentName) {
+    const operations = {};
+
+    this.getSpans(componentName).forEach(span => {
+      if (!operations[span.name]) {
+        operations[span.name] = { durations: [], failures: 0 };
+      }
+      operations[span.name].durations.push(span.duration);
+      if (span.status === 'error') {
+        operations[span.name].failures++;
+      }
+    });
+
+    return Object.fromEntries(
+      Object.entries(operations).map(([name, { durations, failures }]) => [
+        name,
+        { ...computeRenderStatistics(durations), failures }
+      ])
+    );
+  }
+
+  // Per-instance render totals, keyed by React key or an instance id
+  recordInstanceRender(componentName, instanceId, renderTime) {
+    if (!this.metrics.instanceMetrics.has(componentName)) {
+      this.metrics.instanceMetrics.set(componentName, new Map());
+    }
+
+    const instances = this.metrics.instanceMetrics.get(componentName);
+    const instance = instances.get(instanceId) || {
+      instanceId,
+      renderCount: 0,
+      totalRenderTime: 0,
+      maxRenderTime: 0,
+      lastRenderTime: 0,
+      firstRender: Date.now()
+    };
+    instance.renderCount++;
+    instance.totalRenderTime += renderTime;
+    instance.maxRenderTime = Math.max(instance.maxRenderTime, renderTime);
+    instance.lastRenderTime = renderTime;
+    instance.lastRender = Date.now();
+    instance.mounted = true;
+
+    // Re-insert so the Map stays ordered by most recent render
+    instances.delete(instanceId);
+    instances.set(instanceId, instance);
+
+    if (instances.size > this.maxInstancesPerComponent) {
+      instances.delete(instances.keys().next().value);
+    }
+
+    return instance;
+  }
+
+  // Rollup across the instances of one component: count, distribution and slowest instances
+  // Mark an instance unmounted (or mounted again); its metrics are kept for the totals
+  setInstanceMounted(componentName, instanceId, mounted) {
+    const instances = this.metrics.instanceMetrics.get(componentName);
+    const instance = instances && instances.get(instanceId);
+    if (instance) {
+      instance.mounted = mounted;
+    }
+  }
+
+  // mountedCount: instances currently mounted; totalCount: every instance tracked, including
+  // unmounted ones (e.g. rows scrolled out of a virtualized list)
+  getInstanceStats(componentName, { limit = 5 } = {}) {
+    const instances = this.metrics.instanceMetrics.get(componentName);
+    if (!instances || instances.size === 0) return null;
+
+    const perInstance = Array.from(instances.values()).map(instance => ({
+      ...instance,
+      averageRenderTime: instance.totalRenderTime / instance.renderCount
+    }));
+
+    return {
+      mountedCount: perInstance.filter(instance => instance.mounted).length,
+      totalCount: perInstance.length,
+      // Distribution of the average render time across instances
+      distribution: computeRenderStatistics(perInstance.map(instance => instance.averageRenderTime)),
+      renderCounts: computeRenderStatistics(perInstance.map(instance => instance.renderCount)),
+      slowestInstances: perInstance
+        .sort((a, b) => b.averageRenderTime - a.averageRenderTime)
+        .slice(0, limit)
+    };
+  }
+
+  // Commit id of the current render pass. Monitored components take it while rendering, because
+  // their samples are recorded later and at different times: PerformanceProfiler during the
+  // commit, withPerformanceMonitoring and usePerformanceMonitor in passive effects after paint. A synchronous render renders all components before the next microtask; a concurrent
+  // render that yields to the browser is split into several commits.
+  getRenderPassId() {
+    if (this.renderPassId === null) {
+      this.renderPassId = this.nextCommitId++;
+      Promise.resolve().then(() => {
+        this.renderPassId = null;
+      });
+    }
+
+    return this.renderPassId;
+  }
+
+  // Group render samples into commits by the render pass id taken while rendering (samples
+  // without one join the current pass). React flushes the passive effects of a commit before
+  // rendering the next one, so a sample of a newer commit closes the older ones; explicit
+  // closeCommit() calls close the rest.
+  addRenderToCommit(componentName, sample) {
+    let id = sample.commitId !== undefined ? sample.commitId : this.getRenderPassId();
+    // Late sample of an already closed commit - it starts a commit of its own
+    if (!this.pendingCommits.has(id) && this.metrics.commits.some(commit => commit.id === id)) {
+      id = this.nextCommitId++;
+    }
+
+    Array.from(this.pendingCommits.keys())
+      .filter(pendingId => pendingId < id)
+      .forEach(pendingId => this.closeCommit(pendingId));
+
+    if (!this.pendingCommits.has(id)) {
+      this.pendingCommits.set(id, {
+        id,
+        timestamp: Date.now(),
+        sessionName: this.currentSession ? this.currentSession.name : null,
+        renders: []
+      });
+    }
+
+    this.pendingCommits.get(id).renders.push({
+      componentName,
+      renderTime: sample.renderTime,
+      parentComponent: sample.parentComponent || null
+    });
+
+    return id;
+  }
+
+  // Close a pending commit (all of them without an id): build its flame graph and update
+  // inclusive/self time totals
+  closeCommit(commitId) {
+    if (commitId === undefined) {
+      Array.from(this.pendingCommits.keys())
+        .sort((a, b) => a - b)
+        .forEach(id => this.closeCommit(id));
+      return null;
+    }
+
+    const commit = this.pendingCommits.get(commitId);
+    if (!commit) return null;
+    this.pendingCommits.delete(commitId);
+
+    commit.flameGraph = buildFlameGraph(
+      `commit #${commit.id}`,
+      commit.renders,
+      componentName => this.getParentComponent(componentName)
+    );
+
+    this.metrics.commits.push(commit);
+    // Keep only last 100 commits
+    if (this.metrics.commits.length > 100) {
+      this.metrics.commits.shift();
+    }
+
+    walkFlameGraph(commit.flameGraph, (node) => {
+      const breakdown = this.metrics.renderTimeBreakdown.get(node.name) || {
+        commits: 0,
+        inclusiveTime: 0,
+        selfTime: 0
+      };
+      breakdown.commits++;
+      breakdown.inclusiveTime += node.value;
+      breakdown.selfTime += node.selfTime;
+      this.metrics.renderTimeBreakdown.set(node.name, breakdown);
+    });
+
+    const session = commit.sessionName ? this.sessions.get(commit.sessionName) : null;
+    if (session) {
+      session.commitIds.push(commit.id);
+      mergeFlameGraph(session.flameGraph, commit.flameGraph);
+    }
+
+    return commit;
+  }
+
+  getCommits() {
+    this.closeCommit();
+    return this.metrics.commits;
+  }
+
+  // Flame graph for one commit (by id) or a whole profiling session (by name).
+  // Without an argument, the latest commit is used. Node `value` is inclusive time,
+  // `selfTime` is the component's own share.
+  getFlameGraph(commitIdOrSessionName) {
+    this.closeCommit();
+
+    if (typeof commitIdOrSessionName === 'string') {
+      const session = this.sessions.get(commitIdOrSessionName);
+      return session ? session.flameGraph : null;
+    }
+
+    const commits = this.metrics.commits;
+    const commit = commitIdOrSessionName === undefined
+      ? commits[commits.length - 1]
+      : commits.find(candidate => candidate.id === commitIdOrSessionName);
+
+    return commit ? commit.flameGraph : null;
+  }
+
+  // Inclusive (component + subtree) vs exclusive (self) render time per component
+  getRenderTimeBreakdown(componentName) {
+    this.closeCommit();
+
+    const summarize = ({ commits, inclusiveTime, selfTime }) => ({
+      commits,
+      inclusiveTime,
+      selfTime,
+      childrenTime: inclusiveTime - selfTime,
+      averageInclusiveTime: inclusiveTime / commits,
+      averageSelfTime: selfTime / commits
+    });
+
+    if (componentName !== undefined) {
+      const breakdown = this.metrics.renderTimeBreakdown.get(componentName);
+      return breakdown ? summarize(breakdown) : null;
+    }
+
+    return Object.fromEntries(
+      Array.from(this.metrics.renderTimeBreakdown.entries())
+        .map(([name, breakdown]) => [name, summarize(breakdown)])
+    );
+  }
+
+  // Record why a component re-rendered (see attributeRender in ./renderAttribution.js)
+  recordRenderCause(componentName, attribution) {
+    if (!this.metrics.renderCauses.has(componentName)) {
+      this.metrics.renderCauses.set(componentName, {
+        reRenders: 0,
+        wastedRenders: 0,
+        causes: {},
+        props: {}, // prop name -> { changes, referenceOnly }
+        recent: [],
+      });
+    }
+
+    const causes = this.metrics.renderCauses.get(componentName);
+    causes.reRenders++;
+    if (attribution.wasted) {
+      causes.wastedRenders++;
+    }
+    const triggers = attribution.triggers.length > 0 ? attribution.triggers : ['parent'];
+    triggers.forEach(trigger => {
+      causes.causes[trigger] = (causes.causes[trigger] || 0) + 1;
+    });
+
+    (attribution.changes.props || []).forEach(({ name, kind }) => {
+      const prop = causes.props[name] || { changes: 0, referenceOnly: 0 };
+      prop.changes++;
+      if (kind === 'reference') {
+        prop.referenceOnly++;
+      }
+      causes.props[name] = prop;
+    });
+
+    causes.recent.push({ ...attribution, timestamp: Date.now() });
+    // Keep only last 20 attributions per component
+    if (causes.recent.length > 20) {
+      causes.recent.shift();
+    }
+
+    return causes;
+  }
+
+  getRenderCauses(componentName) {
+    return this.metrics.renderCauses.get(componentName) || null;
+  }
+
+  getHookMetric(componentName, label, type) {
+    if (!this.metrics.hookMetrics.has(componentName)) {
+      this.metrics.hookMetrics.set(componentName, new Map());
+    }
+
+    const hooks = this.metrics.hookMetrics.get(componentName);
+    if (!hooks.has(label)) {
+      hooks.set(label, {
+        label,
+        type, // 'memo' | 'effect' | 'callback'
+        renders: 0,
+        recomputes: 0,
+        reasons: {}, // 'mount' | 'every render' | 'deps[i]' | 'deps[i] (reference)' -> count
+        runs: 0,
+        totalTime: 0,
+        maxTime: 0,
+        lastTime: 0
+      });
+    }
+
+    return hooks.get(label);
+  }
+
+  // Record one render of a measured hook (see useMeasuredMemo and friends).
+  // `changes` lists why it recomputed, or is null when its dependencies were unchanged.
+  recordHookRender(componentName, label, { type, changes }) {
+    const hook = this.getHookMetric(componentName, label, type);
+    hook.renders++;
+
+    if (changes) {
+      hook.recomputes++;
+      changes.forEach(reason => {
+        hook.reasons[reason] = (hook.reasons[reason] || 0) + 1;
+      });
+    }
+
+    return hook;
+  }
+
+  // Record time spent in a measured hook: memo factory, effect body or callback call
+  recordHookTime(componentName, label, type, duration) {
+    const hook = this.getHookMetric(componentName, label, type);
+    hook.runs++;
+    hook.totalTime += duration;
+    hook.maxTime = Math.max(hook.maxTime, duration);
+    hook.lastTime = duration;
+
+    return hook;
+  }
+
+  // Measured hooks of one component, with average time per run
+  getHookMetrics(componentName) {
+    const hooks = this.metrics.hookMetrics.get(componentName);
+    if (!hooks) return null;
+
+    return Object.fromEntries(
+      Array.from(hooks.entries()).map(([label, hook]) => [
+        label,
+        { ...hook, averageTime: hook.runs > 0 ? hook.totalTime / hook.runs : 0 }
+      ])
+    );
+  }
+
+  // Render statistics (count, mean, min, max, stddev, p50/p75/p95/p99) for one component
+  getRenderStats(componentName) {
+    const history = this.metrics.renderHistory.get(componentName) || [];
+    return computeRenderStatistics(history.map(sample => sample.renderTime));
+  }
+
+  // Statistics per phase (renderTime, layoutEffectTime, passiveEffectTime) for one component.
+  // A phase is null when no sample measured it (only the HOC times effects).
+  getPhaseStats(componentName) {
+    const history = this.metrics.renderHistory.get(componentName) || [];
+
+    return Object.fromEntries(RENDER_PHASES.map(({ field }) => [
+      field,
+      computeRenderStatistics(
+        history.map(sample => sample[field]).filter(value => typeof value === 'number')
+      )
+    ]));
+  }
+
+  // Render statistics for every component with recorded samples
+  getAllRenderStats() {
+    const stats = {};
+
+    for (const componentName of this.metrics.renderHistory.keys()) {
+      const componentStats = this.getRenderStats(componentName);
+      if (componentStats) {
+        stats[componentName] = componentStats;
+      }
+    }
+
+    return stats;
+  }
+
+  // Record a React.Profiler onRender callback
+  recordProfilerCommit(profilerId, { phase, actualDuration, baseDuration, startTime, commitTime }) {
+    if (!this.metrics.profilerCommits.has(profilerId)) {
+      this.metrics.profilerCommits.set(profilerId, []);
+    }
+
+    const commits = this.metrics.profilerCommits.get(profilerId);
+    const commit = {
+      phase, // 'mount' | 'update' | 'nested-update'
+      actualDuration,
+      baseDuration,
+      startTime,
+      commitTime,
+      timestamp: Date.now(),
+    };
+    commits.push(commit);
+
+    // Keep only last 100 commits per profiler
+    if (commits.length > 100) {
+      commits.shift();
+    }
+
+    this.recordRender(profilerId, actualDuration, {
+      context: 'profiler',
+      startTime,
+      phase,
+      baseDuration,
+      commitTime
+    });
+
+    return commit;
+  }
+
+  getProfilerCommits(profilerId) {
+    return this.metrics.profilerCommits.get(profilerId) || [];
+  }
+
+  // Monitor bundle load performance
+  measureBundleLoad(bundleName, loadPromise) {
+    const startTime = performance.now();
+    
+    return loadPromise.then((result) => {
+      const endTime = performance.now();
+      const loadTime = endTime - startTime;
+      
+      this.metrics.bundleLoadTimes.set(bundleName, loadTime);
+      
+      if (loadTime > this.thresholds.slowLoad) {
+        logger.warn(`Slow bundle load: ${bundleName} took ${loadTime.toFixed(2)}ms`);
+        this.emit(PERFORMANCE_EVENTS.SLOW_BUNDLE, {
+          bundleName,
+          loadTime,
+          threshold: this.thresholds.slowLoad,
+          timestamp: Date.now(),
+        });
+      }
+      
+      return result;
+    });
+  }
+
+  // Monitor memory usage
+  measureMemoryUsage() {
+    if (performance.memory) {
+      const usage = {
+        used: performance.memory.usedJSHeapSize,
+        total: performance.memory.totalJSHeapSize,
+        limit: performance.memory.jsHeapSizeLimit,
+        timestamp: Date.now(),
+        route: this.currentRoute,
+      };
+      
+      this.metrics.memoryUsage.push(usage);
+      this.recordRouteMemory(usage);
+      
+      // Keep only last 100 measurements
+      if (this.metrics.memoryUsage.length > 100) {
+        this.metrics.memoryUsage.shift();
+      }
+      
+      if (usage.used > this.thresholds.memoryLimit) {
+        logger.warn(`High memory usage: ${(usage.used / 1024 / 1024).toFixed(2)}MB`);
+      }
+      
+      return usage;
+    }
+    
+    return null;
+  }
+
+  // Record a Core Web Vital value (LCP, CLS, INP, FCP, TTFB) with its attribution data
+  recordWebVital(name, value, { attribution = {} } = {}) {
+    const previous = this.metrics.webVitals.get(name);
+    const vital = {
+      name,
+      value,
+      rating: rateWebVital(name, value),
+      delta: previous ? value - previous.value : value,
+      attribution,
+      timestamp: Date.now(),
+    };
+
+    this.metrics.webVitals.set(name, vital);
+    this.emit(PERFORMANCE_EVENTS.WEB_VITAL, vital);
+
+    return vital;
+  }
+
+  getWebVitals() {
+    return Object.fromEntries(this.metrics.webVitals);
+  }
+
+  // Render samples overlapping a time window (performance.now() time base)
+  getRendersInWindow(windowStart, windowEnd) {
+    const renders = [];
+
+    for (const [componentName, history] of this.metrics.renderHistory.entries()) {
+      history.forEach(sample => {
+        if (sample.startTime === undefined) return;
+
+        const overlap = Math.min(sample.startTime + sample.renderTime, windowEnd) - Math.max(sample.startTime, windowStart);
+        if (overlap > 0) {
+          renders.push({ componentName, sample, overlap });
+        }
+      });
+    }
+
+    return renders;
+  }
+
+  // Add each render's own time (`selfTime`): a sample's renderTime already includes the renders of
+  // its monitored children, so their overlap is subtracted from the parent's. Summing selfTime
+  // counts nested components once.
+  addSelfRenderTimes(renders) {
+    return renders.map(render => {
+      const start = render.sample.startTime;
+      const end = start + render.sample.renderTime;
+      const childTime = renders
+        .filter(child => (
+          child !== render &&
+          (child.sample.parentComponent || this.getParentComponent(child.componentName)) === render.componentName &&
+          child.sample.startTime >= start &&
+          child.sample.startTime + child.sample.renderTime <= end
+        ))
+        .reduce((sum, child) => sum + child.overlap, 0);
+
+      return { ...render, selfTime: Math.max(render.overlap - childTime, 0) };
+    });
+  }
+
+  // Record a long task / long animation frame and attribute it to the renders inside it
+  recordLongTask(entry) {
+    const renders = this.addSelfRenderTimes(
+      this.getRendersInWindow(entry.startTime, entry.startTime + entry.duration)
+    );
+
+    // Sum own time per component - a component may render several times in one frame
+    const byComponent = new Map();
+    renders.forEach(({ componentName, selfTime }) => {
+      byComponent.set(componentName, (byComponent.get(componentName) || 0) + selfTime);
+    });
+
+    const components = Array.from(byComponent.entries())
+      .map(([componentName, renderTime]) => ({ componentName, renderTime }))
+      .sort((a, b) => b.renderTime - a.renderTime);
+
+    const longTask = {
+      ...entry,
+      timestamp: Date.now(),
+      components,
+      renderTime: components.reduce((sum, component) => sum + component.renderTime, 0),
+    };
+
+    this.metrics.longTasks.push(longTask);
+
+    // Keep only last 100 long tasks
+    if (this.metrics.longTasks.length > 100) {
+      this.metrics.longTasks.shift();
+    }
+
+    components.forEach(({ componentName, renderTime }) => {
+      const contribution = this.metrics.longTaskContributions.get(componentName) || { count: 0, renderTime: 0 };
+      contribution.count++;
+      contribution.renderTime += renderTime;
+      this.metrics.longTaskContributions.set(componentName, contribution);
+    });
+
+    if (components.length > 0) {
+      logger.warn(`Long ${entry.type === 'long-animation-frame' ? 'animation frame' : 'task'}: ${entry.duration.toFixed(0)}ms blocked, components: ${components.map(c => c.componentName).join(', ')}`);
+    }
+    this.emit(PERFORMANCE_EVENTS.LONG_TASK, longTask);
+
+    return longTask;
+  }
+
+  getLongTasks() {
+    return this.metrics.longTasks;
+  }
+
+  // Add a User Timing mark - it shows up in the browser Performance panel and in the monitor
+  mark(name, detail) {
+    let entry = null;
+    try {
+      entry = performance.mark(name, detail !== undefined ? { detail } : undefined);
+    } catch (error) {
+      logger.debug(`performance.mark('${name}') failed:`, error);
+    }
+
+    const mark = {
+      name,
+      detail,
+      startTime: entry ? entry.startTime : performance.now(),
+      timestamp: Date.now()
+    };
+
+    this.metrics.marks.push(mark);
+    // Keep only last 100 marks
+    if (this.metrics.marks.length > 100) {
+      this.metrics.marks.shift();
+    }
+
+    if (this.currentSession) {
+      this.currentSession.marks.push(mark);
+    }
+
+    return mark;
+  }
+
+  // Add a User Timing measure between two marks (the end defaults to now)
+  measure(name, startMark, endMark) {
+    const findMark = (markName) => {
+      for (let index = this.metrics.marks.length - 1; index >= 0; index--) {
+        if (this.metrics.marks[index].name === markName) return this.metrics.marks[index];
+      }
+      return null;
+    };
+
+    let entry = null;
+    try {
+      entry = performance.measure(name, startMark, endMark);
+    } catch (error) {
+      logger.debug(`performance.measure('${name}') failed:`, error);
+    }
+
+    // Older browsers return undefined from performance.measure - fall back to the stored marks
+    let startTime = entry ? entry.startTime : null;
+    let duration = entry ? entry.duration : null;
+    if (!entry) {
+      const start = startMark ? findMark(startMark) : { startTime: 0 };
+      const end = endMark ? findMark(endMark) : { startTime: performance.now() };
+
+      if (!start || !end) {
+        logger.warn(`⚠️ Cannot measure '${name}': mark '${!start ? startMark : endMark}' not found`);
+        return null;
+      }
+
+      startTime = start.startTime;
+      duration = end.startTime - start.startTime;
+    }
+
+    const measure = {
+      name,
+      startMark,
+      endMark,
+      startTime,
+      duration,
+      timestamp: Date.now()
+    };
+
+    this.metrics.measures.push(measure);
+    // Keep only last 100 measures
+    if (this.metrics.measures.length > 100) {
+      this.metrics.measures.shift();
+    }
+
+    if (this.currentSession) {
+      this.currentSession.measures.push(measure);
+    }
+
+    return measure;
+  }
+
+  getRouteEntry(path) {
+    if (!this.metrics.routes.has(path)) {
+      this.metrics.routes.set(path, {
+        path,
+        visits: 0,
+        navigations: [],
+        components: {}, // component -> { renderCount, totalRenderTime, maxRenderTime }
+        budgetViolations: {}, // violation type -> count
+        memory: { samples: 0, total: 0, peak: 0 }
+      });
+    }
+
+    return this.metrics.routes.get(path);
+  }
+
+  // Start a navigation to `path` (a URL path or route pattern). Renders, budget violations and
+  // memory samples are attributed to the route until the next navigation; the navigation is
+  // timed until no render was recorded for routeSettleTime ms.
+  startNavigation(path, { type = 'push', startTime = performance.now() } = {}) {
+    if (path === this.currentRoute) return null;
+
+    // A navigation interrupted by the next one ends where it was
+    this.settleNavigation();
+
+    const from = this.currentRoute;
+    this.currentRoute = path;
+    this.getRouteEntry(path).visits++;
+
+    this.pendingNavigation = {
+      from,
+      to: path,
+      type, // 'load' | 'push' | 'replace' | 'pop' | 'router'
+      startTime,
+      lastRenderEnd: startTime,
+      renders: 0,
+      timestamp: Date.now()
+    };
+    this.scheduleNavigationSettle();
+
+    return this.pendingNavigation;
+  }
+
+  scheduleNavigationSettle() {
+    clearTimeout(this.navigationSettleTimer);
+    this.navigationSettleTimer = setTimeout(() => this.settleNavigation(), this.routeSettleTime);
+  }
+
+  // Finish the pending navigation: its duration runs from the URL change to the last render
+  settleNavigation() {
+    const pending = this.pendingNavigation;
+    if (!pending) return null;
+
+    clearTimeout(this.navigationSettleTimer);
+    this.navigationSettleTimer = null;
+    this.pendingNavigation = null;
+
+    const navigation = {
+      from: pending.from,
+      to: pending.to,
+      type: pending.type,
+      startTime: pending.startTime,
+      duration: pending.lastRenderEnd - pending.startTime,
+      renders: pending.renders,
+      timestamp: pending.timestamp
+    };
+
+    const route = this.getRouteEntry(pending.to);
+    route.navigations.push(navigation);
+    // Keep only last 20 navigations per route
+    if (route.navigations.length > 20) {
+      route.navigations.shift();
+    }
+
+    this.emit(PERFORMANCE_EVENTS.NAVIGATION, navigation);
+    return navigation;
+  }
+
+  recordRouteRender(componentName, renderTime) {
+    if (!this.currentRoute) return;
+
+    const route = this.getRouteEntry(this.currentRoute);
+    const component = route.components[componentName] || { renderCount: 0, totalRenderTime: 0, maxRenderTime: 0 };
+    component.renderCount++;
+    component.totalRenderTime += renderTime;
+    component.maxRenderTime = Math.max(component.maxRenderTime, renderTime);
+    route.components[componentName] = component;
+
+    if (this.pendingNavigation) {
+      this.pendingNavigation.renders++;
+      this.pendingNavigation.lastRenderEnd = performance.now();
+      this.scheduleNavigationSettle();
+    }
+  }
+
+  recordRouteMemory(usage) {
+    if (!this.currentRoute || typeof usage.used !== 'number') return;
+
+    const { memory } = this.getRouteEntry(this.currentRoute);
+    memory.samples++;
+    memory.total += usage.used;
+    memory.peak = Math.max(memory.peak, usage.used);
+  }
+
+  // Per-route summary: navigation times, slowest components, budget violations and memory
+  getRouteBreakdown() {
+    return Object.fromEntries(Array.from(this.metrics.routes.values()).map(route => [
+      route.path,
+      {
+        visits: route.visits,
+        navigation: computeRenderStatistics(route.navigations.map(navigation => navigation.duration)),
+        lastNavigation: route.navigations[route.navigations.length - 1] || null,
+        renderCount: Object.values(route.components).reduce((sum, component) => sum + component.renderCount, 0),
+        slowestComponents: Object.entries(route.components)
+          .map(([componentName, component]) => ({
+            componentName,
+            ...component,
+            averageRenderTime: component.totalRenderTime / component.renderCount
+          }))
+          .sort((a, b) => b.totalRenderTime - a.totalRenderTime)
+          .slice(0, 5),
+        budgetViolations: route.budgetViolations,
+        averageMemoryUsage: route.memory.samples > 0 ? route.memory.total / route.memory.samples : null,
+        peakMemoryUsage: route.memory.samples > 0 ? route.memory.peak : null
+      }
+    ]));
+  }
+
+  getContextEntry(contextName) {
+    if (!this.metrics.contexts.has(contextName)) {
+      this.metrics.contexts.set(contextName, {
+        name: contextName,
+        providerRenders: 0,
+        valueChanges: 0,
+        recreatedValues: 0, // new identity, equal content
+        consumerRenders: 0,
+        consumers: {}, // consumer component -> renders after a value change
+        changes: [], // recent value changes with the number of consumers that re-rendered
+        providers: new Map() // provider instance -> { renders, valueChanges, recreatedValues }
+      });
+    }
+
+    return this.metrics.contexts.get(contextName);
+  }
+
+  // Consumer effects run before the provider's, so either side may create the change entry
+  getContextChange(context, version) {
+    let change = context.changes.find(candidate => candidate.version === version);
+
+    if (!change) {
+      change = { version, recreated: false, consumers: 0, timestamp: Date.now() };
+      context.changes.push(change);
+      // Keep only last 50 changes per context
+      if (context.changes.length > 50) {
+        context.changes.shift();
+      }
+    }
+
+    return change;
+  }
+
+  // Record a MonitoredProvider render; `providerId` identifies the provider instance, `version`
+  // the value change, if any
+  recordContextProviderRender(contextName, { providerId = 0, changed, recreated, version }) {
+    const context = this.getContextEntry(contextName);
+    context.providerRenders++;
+
+    if (!context.providers.has(providerId)) {
+      context.providers.set(providerId, { renders: 0, valueChanges: 0, recreatedValues: 0 });
+      // Keep only last 50 provider instances per context
+      if (context.providers.size > 50) {
+        context.providers.delete(context.providers.keys().next().value);
+      }
+    }
+    const provider = context.providers.get(providerId);
+    provider.renders++;
+
+    if (changed) {
+      context.valueChanges++;
+      provider.valueChanges++;
+      if (recreated) {
+        context.recreatedValues++;
+        provider.recreatedValues++;
+      }
+
+      this.getContextChange(context, version).recreated = recreated;
+    }
+
+    return context;
+  }
+
+  // Record a consumer (useMonitoredContext) rendering with a new value of the context
+  recordContextConsumerRender(contextName, version, consumerName) {
+    const context = this.getContextEntry(contextName);
+    context.consumerRenders++;
+    context.consumers[consumerName] = (context.consumers[consumerName] || 0) + 1;
+
+    this.getContextChange(context, version).consumers++;
+
+    return context;
+  }
+
+  // Fan-out per monitored context. A context is flagged when one of its providers gives the value a
+  // new identity on (nearly) every re-render and most of those values are recreated - new identity,
+  // equal content - which re-renders all consumers for nothing.
+  getContextStats() {
+    return Array.from(this.metrics.contexts.values()).map(context => {
+      const fanOut = context.changes.map(change => change.consumers);
+      const recreatedEveryRender = Array.from(context.providers.values()).some(provider =>
+        provider.renders >= 5 &&
+        provider.valueChanges >= provider.renders - 2 &&
+        provider.recreatedValues / provider.valueChanges >= 0.5
+      );
+
+      return {
+        name: context.name,
+        providerRenders: context.providerRenders,
+        valueChanges: context.valueChanges,
+        recreatedValues: context.recreatedValues,
+        recreatedEveryRender,
+        consumerRenders: context.consumerRenders,
+        averageFanOut: fanOut.length > 0 ? fanOut.reduce((sum, count) => sum + count, 0) / fanOut.length : 0,
+        maxFanOut: fanOut.length > 0 ? Math.max(...fanOut) : 0,
+        consumers: context.consumers
+      };
+    });
+  }
+
+  // Record one store update from ./storeInstrumentation.js
+  recordStoreAction(action) {
+    this.metrics.storeActions.push(action);
+
+    // Keep only last 100 store actions
+    if (this.metrics.storeActions.length > 100) {
+      this.metrics.storeActions.shift();
+    }
+
+    const renders = Object.values(action.components).reduce((sum, component) => sum + component.renders, 0);
+    const key = `${action.store}:${action.type}`;
+    const stats = this.metrics.storeActionStats.get(key) || {
+      store: action.store,
+      type: action.type,
+      count: 0,
+      totalTime: 0,
+      maxTime: 0,
+      notifications: 0,
+      renders: 0,
+      components: {}
+    };
+    stats.count++;
+    stats.totalTime += action.duration;
+    stats.maxTime = Math.max(stats.maxTime, action.duration);
+    stats.notifications += action.notifications;
+    stats.renders += renders;
+    Object.entries(action.components).forEach(([componentName, component]) => {
+      stats.components[componentName] = (stats.components[componentName] || 0) + component.renders;
+    });
+    this.metrics.storeActionStats.set(key, stats);
+
+    return action;
+  }
+
+  getStoreActions() {
+    return this.metrics.storeActions;
+  }
+
+  // Totals per action type, most expensive first: time, notifications and re-renders triggered
+  getStoreActionStats() {
+    return Array.from(this.metrics.storeActionStats.values())
+      .map(stats => ({
+        ...stats,
+        averageTime: stats.totalTime / stats.count,
+        averageRenders: stats.renders / stats.count
+      }))
+      .sort((a, b) => b.totalTime - a.totalTime || b.renders - a.renders);
+  }
+
+  // Active component stack: requests started while a component's effects or measured callbacks
+  // run are attributed to it. Exiting drops anything entered after it that never exited.
+  enterComponent(componentName) {
+    this.activeComponents.push(componentName);
+  }
+
+  exitComponent(componentName) {
+    const index = this.activeComponents.lastIndexOf(componentName);
+    if (index !== -1) {
+      this.activeComponents.splice(index);
+    }
+  }
+
+  getActiveComponent() {
+    return this.activeComponents.length > 0 ? this.activeComponents[this.activeComponents.length - 1] : null;
+  }
+
+  // Run `fn` with `componentName` as the active component
+  runInComponent(componentName, fn) {
+    this.enterComponent(componentName);
+    try {
+      return fn();
+    } finally {
+      this.exitComponent(componentName);
+    }
+  }
+
+  // Record a finished fetch/XHR request from ./networkInstrumentation.js
+  recordNetworkRequest(request) {
+    const sample = { ...request, component: request.component || UNATTRIBUTED_REQUEST, route: this.currentRoute };
+    this.metrics.networkRequests.push(sample);
+
+    // Keep only last 200 requests
+    if (this.metrics.networkRequests.length > 200) {
+      this.metrics.networkRequests.shift();
+    }
+
+    if (this.currentSession) {
+      this.currentSession.networkRequests.push(sample);
+    }
+
+    return sample;
+  }
+
+  // Recorded requests, optionally only those matching a URL pattern or started by a component
+  getNetworkRequests({ pattern, componentName } = {}) {
+    return this.metrics.networkRequests.filter(request => (
+      (pattern === undefined || request.pattern === pattern) &&
+      (componentName === undefined || request.component === componentName)
+    ));
+  }
+
+  // Totals per endpoint (method and URL pattern), slowest p95 first
+  getNetworkStats(requests = this.metrics.networkRequests) {
+    const endpoints = new Map();
+
+    requests.forEach(request => {
+      const key = `${request.method} ${request.pattern}`;
+      const endpoint = endpoints.get(key) || {
+        method: request.method,
+        pattern: request.pattern,
+        durations: [],
+        errors: 0,
+        totalSize: 0,
+        components: {}
+      };
+      endpoint.durations.push(request.duration);
+      if (!request.ok) {
+        endpoint.errors++;
+      }
+      endpoint.totalSize += request.size || 0;
+      endpoint.components[request.component] = (endpoint.components[request.component] || 0) + 1;
+      endpoints.set(key, endpoint);
+    });
+
+    return Array.from(endpoints.values())
+      .map(({ durations, ...endpoint }) => {
+        const sorted = [...durations].sort((a, b) => a - b);
+        return {
+          ...endpoint,
+          count: sorted.length,
+          averageTime: sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length,
+          p95: percentile(sorted, 95),
+          maxTime: sorted[sorted.length - 1]
+        };
+      })
+      .sort((a, b) => b.p95 - a.p95);
+  }
+
+  // Request waterfalls: chains of at least `minLength` requests where each one started within
+  // `maxGap` ms after the previous one finished, i.e. probably waited for it. Longest first.
+  analyzeRequestWaterfalls(requests = this.metrics.networkRequests, { maxGap = 50, minLength = 3 } = {}) {
+    const sorted = [...requests].sort((a, b) => a.startTime - b.startTime);
+    const chains = new Map(); // request -> chain of requests ending with it
+    const continued = new Set();
+
+    sorted.forEach(request => {
+      const previous = sorted
+        .filter(candidate => (
+          candidate !== request &&
+          candidate.endTime <= request.startTime &&
+          request.startTime - candidate.endTime <= maxGap
+        ))
+        .reduce((latest, candidate) => (!latest || candidate.endTime > latest.endTime ? candidate : latest), null);
+
+      chains.set(request, previous ? [...chains.get(previous), request] : [request]);
+      if (previous) {
+        continued.add(previous);
+      }
+    });
+
+    return sorted
+      .filter(request => !continued.has(request) && chains.get(request).length >= minLength)
+      .map(request => {
+        const chain = chains.get(request);
+        return {
+          length: chain.length,
+          totalTime: request.endTime - chain[0].startTime,
+          requests: chain.map(({ method, pattern, component, duration }) => ({ method, pattern, component, duration }))
+        };
+      })
+      .sort((a, b) => b.totalTime - a.totalTime);
+  }
+
+  // Record an analyzed asset from ./resourceAnalyzer.js; a reloaded URL replaces the earlier entry
+  recordResource(resource) {
+    this.metrics.resources.delete(resource.url);
+    this.metrics.resources.set(resource.url, resource);
+
+    // Keep only last 500 resources
+    if (this.metrics.resources.size > 500) {
+      this.metrics.resources.delete(this.metrics.resources.keys().next().value);
+    }
+
+    return resource;
+  }
+
+  // Totals per category (script, stylesheet, font, image, other) and overall, largest first
+  getResourceAnalysis() {
+    return summarizeResources(Array.from(this.metrics.resources.values()));
+  }
+
+  // Record how long a MonitoredSuspense fallback stayed visible and the lazy chunks it waited for
+  recordSuspenseFallback(boundaryName, { duration, chunks }) {
+    const fallback = {
+      boundary: boundaryName,
+      duration,
+      chunks,
+      route: this.currentRoute,
+      timestamp: Date.now()
     };
+    this.metrics.suspenseFallbacks.push(fallback);
 
-    // New: Budget violations tracking
-    this.budgetViolations = [];
-    this.dependencyGraph = new Map(); // Component dependency graph
+    // Keep only last 100 fallbacks
+    if (this.metrics.suspenseFallbacks.length > 100) {
+      this.metrics.suspenseFallbacks.shift();
+    }
+
+    return fallback;
   }
 
-  // Monitor component render performance
-  measureComponentRender(componentName, renderFn) {
-    const startTime = performance.now();
-    const result = renderFn();
-    const endTime = performance.now();
-    const renderTime = endTime - startTime;
-    
-    this.metrics.componentRenderTimes.set(componentName, renderTime);
-    
-    if (renderTime > this.thresholds.slowRender) {
-      this.metrics.slowComponents.add(componentName);
-      console.warn(`Slow render: ${componentName} took ${renderTime.toFixed(2)}ms`);
+  getSuspenseFallbacks() {
+    return this.metrics.suspenseFallbacks;
+  }
+
+  // Fallback totals per boundary, longest visible first
+  getSuspenseStats() {
+    const boundaries = new Map();
+
+    this.metrics.suspenseFallbacks.forEach(({ boundary, duration, chunks }) => {
+      const stats = boundaries.get(boundary) || { boundary, count: 0, totalTime: 0, maxTime: 0, chunks: {} };
+      stats.count++;
+      stats.totalTime += duration;
+      stats.maxTime = Math.max(stats.maxTime, duration);
+      chunks.forEach(chunk => {
+        stats.chunks[chunk] = (stats.chunks[chunk] || 0) + 1;
+      });
+      boundaries.set(boundary, stats);
+    });
+
+    return Array.from(boundaries.values())
+      .map(stats => ({ ...stats, averageTime: stats.totalTime / stats.count }))
+      .sort((a, b) => b.totalTime - a.totalTime);
+  }
+
+  // Record a traced interaction: input delay, processing time, presentation delay and the
+  // components that rendered because of it
+  recordInteraction(interaction) {
+    this.metrics.interactions.push(interaction);
+
+    // Keep only last 100 interactions
+    if (this.metrics.interactions.length > 100) {
+      this.metrics.interactions.shift();
     }
-    
-    return result;
+
+    this.emit(PERFORMANCE_EVENTS.INTERACTION, interaction);
+    return interaction;
   }
 
-  // Monitor bundle load performance
-  measureBundleLoad(bundleName, loadPromise) {
-    const startTime = performance.now();
-    
-    return loadPromise.then((result) => {
-      const endTime = performance.now();
-      const loadTime = endTime - startTime;
-      
-      this.metrics.bundleLoadTimes.set(bundleName, loadTime);
-      
-      if (loadTime > this.thresholds.slowLoad) {
-        console.warn(`Slow bundle load: ${bundleName} took ${loadTime.toFixed(2)}ms`);
-      }
-      
-      return result;
+  // Traced interactions, optionally only those with a given name or that rendered a component
+  getInteractions({ name, componentName } = {}) {
+    return this.metrics.interactions.filter(interaction => (
+      (name === undefined || interaction.name === name) &&
+      (componentName === undefined || Object.prototype.hasOwnProperty.call(interaction.components, componentName))
+    ));
+  }
+
+  // Latency statistics per interaction name
+  getInteractionStats() {
+    const byName = {};
+    this.metrics.interactions.forEach(interaction => {
+      (byName[interaction.name] = byName[interaction.name] || []).push(interaction);
     });
+
+    const average = (interactions, field) => (
+      interactions.reduce((sum, interaction) => sum + interaction[field], 0) / interactions.length
+    );
+
+    return Object.fromEntries(Object.entries(byName).map(([name, interactions]) => [
+      name,
+      {
+        duration: computeRenderStatistics(interactions.map(interaction => interaction.duration)),
+        averageInputDelay: average(interactions, 'inputDelay'),
+        averageProcessingTime: average(interactions, 'processingTime'),
+        averagePresentationDelay: average(interactions, 'presentationDelay'),
+        components: Array.from(new Set(interactions.flatMap(interaction => Object.keys(interaction.components)))),
+      }
+    ]));
   }
 
-  // Monitor memory usage
-  measureMemoryUsage() {
-    if (performance.memory) {
-      const usage = {
-        used: performance.memory.usedJSHeapSize,
-        total: performance.memory.totalJSHeapSize,
-        limit: performance.memory.jsHeapSizeLimit,
-        timestamp: Date.now(),
-      };
-      
-      this.metrics.memoryUsage.push(usage);
-      
-      // Keep only last 100 measurements
-      if (this.metrics.memoryUsage.length > 100) {
-        this.metrics.memoryUsage.shift();
+  getMarks() {
+    return this.metrics.marks;
+  }
+
+  getMeasures() {
+    return this.metrics.measures;
+  }
+
+  // Record an externally measured memory sample (bytes or a performance.memory-like object)
+  recordMemory(memoryUsage) {
+    const usage = typeof memoryUsage === 'number'
+      ? { used: memoryUsage, timestamp: Date.now(), route: this.currentRoute }
+      : { timestamp: Date.now(), route: this.currentRoute, ...memoryUsage };
+
+    this.metrics.memoryUsage.push(usage);
+    this.recordRouteMemory(usage);
+
+    // Keep only last 100 measurements
+    if (this.metrics.memoryUsage.length > 100) {
+      this.metrics.memoryUsage.shift();
+    }
+
+    return usage;
+  }
+
+  // Control periodic memory sampling and frame-rate sampling. Pass `sampleMemory: false` when
+  // memory is already sampled elsewhere (detectMemoryLeaks), so samples are not taken twice.
+  startMonitoring(interval = 5000, { sampleMemory = true } = {}) {
+    this.stopMonitoring();
+    this.isMonitoring = true;
+    if (sampleMemory) {
+      this.monitoringInterval = setInterval(() => this.measureMemoryUsage(), interval);
+    }
+
+    if (!this.frameSampler) {
+      this.frameSampler = createFrameRateSampler({
+        onFrame: (duration, timestamp) => this.recordFrame(duration, timestamp),
+      });
+    }
+    this.frameSampler.start();
+  }
+
+  stopMonitoring() {
+    this.isMonitoring = false;
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = null;
+    }
+    if (this.frameSampler) {
+      this.frameSampler.stop();
+    }
+    this.closeJankBurst();
+  }
+
+  // Record one animation frame duration (performance.now() time base)
+  recordFrame(duration, timestamp = performance.now()) {
+    const droppedFrames = countDroppedFrames(duration);
+    const targets = this.currentSession
+      ? [this.metrics.frames, this.currentSession.frames]
+      : [this.metrics.frames];
+
+    targets.forEach(frames => {
+      frames.durations.push(duration);
+      if (frames.durations.length > MAX_FRAME_SAMPLES) {
+        frames.durations.shift();
       }
-      
-      if (usage.used > this.thresholds.memoryLimit) {
-        console.warn(`High memory usage: ${(usage.used / 1024 / 1024).toFixed(2)}MB`);
+      frames.totalFrames++;
+      frames.droppedFrames += droppedFrames;
+    });
+
+    if (duration > JANK_THRESHOLD) {
+      if (!this.activeJankBurst) {
+        this.activeJankBurst = {
+          startTime: timestamp - duration,
+          endTime: timestamp,
+          frames: 0,
+          droppedFrames: 0,
+          worstFrame: 0,
+        };
       }
-      
-      return usage;
+
+      const burst = this.activeJankBurst;
+      burst.endTime = timestamp;
+      burst.duration = burst.endTime - burst.startTime;
+      burst.frames++;
+      burst.droppedFrames += droppedFrames;
+      burst.worstFrame = Math.max(burst.worstFrame, duration);
+    } else {
+      this.closeJankBurst();
     }
-    
-    return null;
+  }
+
+  // A jank burst ends with the first smooth frame after consecutive janky frames
+  closeJankBurst() {
+    const burst = this.activeJankBurst;
+    if (!burst) return;
+
+    this.activeJankBurst = null;
+
+    const targets = this.currentSession
+      ? [this.metrics.frames, this.currentSession.frames]
+      : [this.metrics.frames];
+
+    targets.forEach(frames => {
+      frames.jankBursts.push(burst);
+      // Keep only last 50 bursts
+      if (frames.jankBursts.length > 50) {
+        frames.jankBursts.shift();
+      }
+    });
+
+    if (burst.droppedFrames > 0) {
+      logger.warn(`Jank: ${burst.droppedFrames} dropped frame(s) over ${burst.duration.toFixed(0)}ms (worst frame ${burst.worstFrame.toFixed(1)}ms)`);
+    }
+    this.emit(PERFORMANCE_EVENTS.JANK, burst);
+  }
+
+  // FPS, frame-time distribution, dropped frames and worst jank bursts
+  getFrameRateStats() {
+    return summarizeFrames(this.metrics.frames);
+  }
+
+  // Get comprehensive performance data - the shape read by the dashboard and console tools
+  getPerformanceData() {
+    const renderSamples = Array.from(this.metrics.renderHistory.values())
+      .flat()
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      renderTimes: renderSamples.map(sample => sample.renderTime),
+      memoryUsage: this.metrics.memoryUsage.map(m => m.used),
+      componentMetrics: Object.fromEntries(
+        Object.entries(this.getAllRenderStats()).map(([name, stats]) => {
+          const { layoutEffectTime, passiveEffectTime } = this.getPhaseStats(name);
+          return [
+            name,
+            {
+              renderCount: stats.count,
+              averageRenderTime: stats.mean,
+              minRenderTime: stats.min,
+              maxRenderTime: stats.max,
+              stddev: stats.stddev,
+              p50: stats.p50,
+              p75: stats.p75,
+              p95: stats.p95,
+              p99: stats.p99,
+              averageLayoutEffectTime: layoutEffectTime ? layoutEffectTime.mean : null,
+              averagePassiveEffectTime: passiveEffectTime ? passiveEffectTime.mean : null,
+              instances: this.getInstanceStats(name, { limit: 3 }),
+              hooks: this.getHookMetrics(name),
+            }
+          ];
+        })
+      ),
+      bundleAnalysis: {
+        loadTimes: Object.fromEntries(this.metrics.bundleLoadTimes),
+        ...this.getResourceAnalysis()
+      },
+      slowComponents: Array.from(this.metrics.slowComponents),
+      frameRate: this.getFrameRateStats(),
+      isMonitoring: this.isMonitoring,
+    };
+  }
+
+  // Clear all collected data (configuration and budgets are kept)
+  clearData() {
+    this.metrics.componentRenderTimes.clear();
+    this.metrics.bundleLoadTimes.clear();
+    this.metrics.memoryUsage = [];
+    this.metrics.slowComponents.clear();
+    this.metrics.componentDependencies.clear();
+    this.metrics.renderHistory.clear();
+    this.metrics.profilerCommits.clear();
+    this.metrics.webVitals.clear();
+    this.metrics.longTasks = [];
+    this.metrics.longTaskContributions.clear();
+    this.metrics.frames = createFrameMetrics();
+    this.metrics.renderCauses.clear();
+    this.metrics.commits = [];
+    this.metrics.renderTimeBreakdown.clear();
+    this.metrics.instanceMetrics.clear();
+    this.metrics.hookMetrics.clear();
+    this.metrics.spans.clear();
+    this.metrics.marks = [];
+    this.metrics.measures = [];
+    this.metrics.interactions = [];
+    this.metrics.routes.clear();
+    this.metrics.storeActions = [];
+    this.metrics.storeActionStats.clear();
+    this.metrics.contexts.clear();
+    this.metrics.suspenseFallbacks = [];
+    this.metrics.networkRequests = [];
+    this.metrics.resources.clear();
+    this.pendingCommits.clear();
+    this.renderPassId = null;
+    this.sessions.clear();
+    if (this.currentSession) {
+      this.sessions.set(this.currentSession.name, this.currentSession);
+    }
+    this.activeJankBurst = null;
+    this.budgetViolations = [];
+    this.dependencyGraph.clear();
   }
 
   // Generate performance report
   generateReport() {
     const report = {
       renderTimes: Object.fromEntries(this.metrics.componentRenderTimes),
+      renderStatistics: this.getAllRenderStats(),
+      renderTimeBreakdown: this.getRenderTimeBreakdown(),
+      renderCascades: this.analyzeRenderCascades(),
+      operations: Object.fromEntries(
+        Array.from(this.metrics.spans.keys()).map(name => [name, this.getOperationStats(name)])
+      ),
       loadTimes: Object.fromEntries(this.metrics.bundleLoadTimes),
+      resources: this.getResourceAnalysis(),
       slowComponents: Array.from(this.metrics.slowComponents),
+      profiler: this.getProfilerSummary(),
+      webVitals: this.getWebVitals(),
+      interactions: this.getInteractionStats(),
+      routes: this.getRouteBreakdown(),
+      storeActions: this.getStoreActionStats(),
+      contexts: this.getContextStats(),
+      suspense: this.getSuspenseStats(),
+      network: {
+        requests: this.getNetworkStats(),
+        waterfalls: this.analyzeRequestWaterfalls()
+      },
+      longTasks: {
+        count: this.metrics.longTasks.length,
+        totalBlockingTime: this.metrics.longTasks.reduce((sum, task) => sum + task.blockingDuration, 0),
+        components: Object.fromEntries(this.metrics.longTaskContributions),
+      },
+      frameRate: this.getFrameRateStats(),
       averageMemoryUsage: this.getAverageMemoryUsage(),
       recommendations: this.generateRecommendations(),
     };
@@ -128,6 +1789,30 @@ export class PerformanceMonitor {
     return report;
   }
 
+  // Summarize React.Profiler commits per profiler id
+  getProfilerSummary() {
+    const summary = {};
+
+    for (const [profilerId, commits] of this.metrics.profilerCommits.entries()) {
+      if (commits.length === 0) continue;
+
+      const totalActual = commits.reduce((sum, commit) => sum + commit.actualDuration, 0);
+      const lastCommit = commits[commits.length - 1];
+
+      summary[profilerId] = {
+        commits: commits.length,
+        mounts: commits.filter(commit => commit.phase === 'mount').length,
+        updates: commits.filter(commit => commit.phase !== 'mount').length,
+        averageActualDuration: totalActual / commits.length,
+        maxActualDuration: Math.max(...commits.map(commit => commit.actualDuration)),
+        baseDuration: lastCommit.baseDuration,
+        lastCommitTime: lastCommit.commitTime,
+      };
+    }
+
+    return summary;
+  }
+
   // Get average memory usage
   getAverageMemoryUsage() {
     if (this.metrics.memoryUsage.length === 0) return null;
@@ -140,12 +1825,72 @@ export class PerformanceMonitor {
   generateRecommendations() {
     const recommendations = [];
     
-    // Check for slow components
-    if (this.metrics.slowComponents.size > 0) {
+    // Check for slow components (judged on p95 rather than a single sample)
+    const slowComponents = Object.entries(this.getAllRenderStats())
+      .filter(([, stats]) => stats.p95 > this.thresholds.slowRender)
+      .sort(([, a], [, b]) => b.p95 - a.p95)
+      .map(([name]) => name);
+
+    if (slowComponents.length > 0) {
       recommendations.push({
         type: 'slow_components',
-        message: `Consider optimizing these slow components: ${Array.from(this.metrics.slowComponents).join(', ')}`,
-        components: Array.from(this.metrics.slowComponents),
+        message: `Consider optimizing these slow components: ${slowComponents.join(', ')}`,
+        components: slowComponents,
+      });
+    }
+    
+    // Check for requests that waited on each other
+    const waterfalls = this.analyzeRequestWaterfalls().slice(0, 3);
+
+    if (waterfalls.length > 0) {
+      recommendations.push({
+        type: 'request_waterfalls',
+        message: `Parallelize, prefetch or combine these sequential requests: ${waterfalls.map(waterfall => (
+          `${waterfall.requests.map(request => request.pattern).join(' -> ')} (${waterfall.totalTime.toFixed(0)}ms, started by ${waterfall.requests[0].component})`
+        )).join('; ')}`,
+        waterfalls,
+      });
+    }
+
+    // Check for parents whose updates re-render large subtrees
+    const cascades = this.analyzeRenderCascades()
+      .filter(cascade => cascade.childRenderTime > this.performanceBudgets.renderTime)
+      .slice(0, 3);
+
+    if (cascades.length > 0) {
+      recommendations.push({
+        type: 'render_cascades',
+        message: `Consider memo boundaries below: ${cascades.map(cascade => `${cascade.componentName} (${cascade.childRenders} child renders, ${cascade.childRenderTime.toFixed(0)}ms)`).join(', ')}`,
+        cascades,
+      });
+    }
+    
+    // Check for context providers that re-render every consumer on each render
+    const recreatedContexts = this.getContextStats().filter(context => context.recreatedEveryRender);
+
+    if (recreatedContexts.length > 0) {
+      recommendations.push({
+        type: 'context_fanout',
+        message: `Memoize these context values, they are recreated on every provider render: ${recreatedContexts.map(context => `${context.name} (${context.valueChanges} changes, ${context.averageFanOut.toFixed(1)} consumer renders each)`).join(', ')}`,
+        contexts: recreatedContexts,
+      });
+    }
+    
+    // Check for text assets served without compression (gzip/brotli shrink them several times)
+    const uncompressed = Array.from(this.metrics.resources.values())
+      .filter(resource => (
+        (resource.category === 'script' || resource.category === 'stylesheet') &&
+        resource.decodedSize > 10 * 1024 &&
+        resource.compressionRatio !== null &&
+        resource.compressionRatio < 1.1
+      ))
+      .map(resource => resource.url);
+
+    if (uncompressed.length > 0) {
+      recommendations.push({
+        type: 'uncompressed_resources',
+        message: `Serve these scripts and stylesheets with gzip or brotli compression: ${uncompressed.join(', ')}`,
+        resources: uncompressed,
       });
     }
     
@@ -155,13 +1900,38 @@ export class PerformanceMonitor {
       .map(([name]) => name);
     
     if (slowBundles.length > 0) {
+      // Time users spent looking at a Suspense fallback because of each slow chunk
+      const fallbackTimes = {};
+      this.metrics.suspenseFallbacks.forEach(({ duration, chunks }) => {
+        chunks
+          .filter(chunk => slowBundles.includes(chunk))
+          .forEach(chunk => {
+            fallbackTimes[chunk] = (fallbackTimes[chunk] || 0) + duration;
+          });
+      });
+
       recommendations.push({
         type: 'slow_bundles',
-        message: `Consider optimizing these slow loading bundles: ${slowBundles.join(', ')}`,
+        message: `Consider optimizing these slow loading bundles: ${slowBundles.map(name => (
+          fallbackTimes[name] ? `${name} (${fallbackTimes[name].toFixed(0)}ms behind a Suspense fallback)` : name
+        )).join(', ')}`,
         bundles: slowBundles,
+        fallbackTimes,
       });
     }
     
+    // Check Core Web Vitals
+    const poorVitals = Array.from(this.metrics.webVitals.values())
+      .filter(vital => vital.rating === 'poor');
+
+    if (poorVitals.length > 0) {
+      recommendations.push({
+        type: 'poor_web_vitals',
+        message: `Poor Core Web Vitals: ${poorVitals.map(vital => `${vital.name} ${formatWebVital(vital)}`).join(', ')}`,
+        vitals: poorVitals,
+      });
+    }
+
     // Check memory usage
     const avgMemory = this.getAverageMemoryUsage();
     if (avgMemory && avgMemory > this.thresholds.memoryLimit) {
@@ -179,9 +1949,9 @@ export class PerformanceMonitor {
   setPerformanceBudget(budgetType, value) {
     if (Object.prototype.hasOwnProperty.call(this.performanceBudgets, budgetType)) {
       this.performanceBudgets[budgetType] = value;
-      console.log(`📊 Performance budget set: ${budgetType} = ${value}`);
+      logger.info(`📊 Performance budget set: ${budgetType} = ${value}`);
     } else {
-      console.warn(`⚠️ Unknown budget type: ${budgetType}`);
+      logger.warn(`⚠️ Unknown budget type: ${budgetType}`);
     }
   }
 
@@ -189,31 +1959,63 @@ export class PerformanceMonitor {
     const violations = [];
     const now = Date.now();
 
-    // Check render time budget
-    const recentRenders = Array.from(this.metrics.componentRenderTimes.values());
-    const avgRenderTime = recentRenders.length > 0 
-      ? recentRenders.reduce((sum, time) => sum + time, 0) / recentRenders.length 
-      : 0;
-
-    if (avgRenderTime > this.performanceBudgets.renderTime) {
-      violations.push({
-        type: 'renderTime',
-        budget: this.performanceBudgets.renderTime,
-        actual: avgRenderTime,
-        severity: avgRenderTime > this.performanceBudgets.renderTime * 2 ? 'critical' : 'warning',
-        message: `Average render time ${avgRenderTime.toFixed(2)}ms exceeds budget of ${this.performanceBudgets.renderTime}ms`
-      });
-    }
+    // Check render, layout effect and passive effect budgets against each component's p95
+    const phaseStats = Array.from(this.metrics.renderHistory.keys())
+      .map(componentName => [componentName, this.getPhaseStats(componentName)]);
+
+    RENDER_PHASES.forEach(({ field, label }) => {
+      const budget = this.performanceBudgets[field];
+      const overBudget = phaseStats
+        .map(([componentName, stats]) => [componentName, stats[field]])
+        .filter(([, stats]) => stats && stats.p95 > budget)
+        .sort(([, a], [, b]) => b.p95 - a.p95);
+
+      if (overBudget.length > 0) {
+        const worstP95 = overBudget[0][1].p95;
+        violations.push({
+          type: field,
+          budget,
+          actual: worstP95,
+          components: overBudget.map(([name, stats]) => ({ componentName: name, p95: stats.p95, mean: stats.mean })),
+          severity: worstP95 > budget * 2 ? 'critical' : 'warning',
+          message: `${overBudget.length} component(s) exceed ${label} budget of ${budget}ms at p95 (worst: ${overBudget[0][0]} ${worstP95.toFixed(2)}ms)`
+        });
+      }
+    });
 
-    // Check total render time per frame
-    const totalRenderTime = recentRenders.reduce((sum, time) => sum + time, 0);
+    // Check total render time per frame: the worst blocked frame when long tasks were observed,
+    // otherwise the renders recorded within the frame of the most recent render
+    const worstFrame = this.metrics.longTasks.reduce((worst, task) => (
+      !worst || task.renderTime > worst.renderTime ? task : worst
+    ), null);
+    const totalRenderTime = worstFrame ? worstFrame.renderTime : this.getLatestFrameRenderTime();
     if (totalRenderTime > this.performanceBudgets.totalRenderTime) {
       violations.push({
         type: 'totalRenderTime',
         budget: this.performanceBudgets.totalRenderTime,
         actual: totalRenderTime,
+        components: worstFrame ? worstFrame.components : undefined,
         severity: 'warning',
-        message: `Total render time ${totalRenderTime.toFixed(2)}ms exceeds budget of ${this.performanceBudgets.totalRenderTime}ms`
+        message: `Total render time ${totalRenderTime.toFixed(2)}ms in a single frame exceeds budget of ${this.performanceBudgets.totalRenderTime}ms`
+      });
+    }
+
+    // Check bundle size budget against the encoded size of all loaded assets
+    const resources = this.getResourceAnalysis();
+    if (resources.totalSize > this.performanceBudgets.bundleSize) {
+      const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+      violations.push({
+        type: 'bundleSize',
+        budget: this.performanceBudgets.bundleSize,
+        actual: resources.totalSize,
+        categories: Object.fromEntries(
+          Object.entries(resources.categories).map(([category, totals]) => [category, totals.encodedSize])
+        ),
+        severity: resources.totalSize > this.performanceBudgets.bundleSize * 1.5 ? 'critical' : 'warning',
+        message: `Asset size ${toMB(resources.totalSize)}MB exceeds budget of ${toMB(this.performanceBudgets.bundleSize)}MB (${Object.entries(resources.categories)
+          .filter(([, totals]) => totals.encodedSize > 0)
+          .map(([category, totals]) => `${category} ${toMB(totals.encodedSize)}MB`)
+          .join(', ')})`
       });
     }
 
@@ -231,6 +2033,38 @@ export class PerformanceMonitor {
       });
     }
 
+    // Check Core Web Vitals budgets (lcp, cls, inp, fcp, ttfb)
+    for (const vital of this.metrics.webVitals.values()) {
+      const budgetType = vital.name.toLowerCase();
+      const budget = this.performanceBudgets[budgetType];
+
+      if (budget !== undefined && vital.value > budget) {
+        violations.push({
+          type: budgetType,
+          budget,
+          actual: vital.value,
+          attribution: vital.attribution,
+          severity: vital.rating === 'poor' ? 'critical' : 'warning',
+          message: `${vital.name} ${formatWebVital(vital)} exceeds budget of ${formatWebVital({ name: vital.name, value: budget })}`
+        });
+      }
+    }
+
+    // Check API response time budget against each endpoint's p95
+    const slowEndpoints = this.getNetworkStats()
+      .filter(endpoint => endpoint.p95 > this.performanceBudgets.apiResponseTime);
+    if (slowEndpoints.length > 0) {
+      const worst = slowEndpoints[0];
+      violations.push({
+        type: 'apiResponseTime',
+        budget: this.performanceBudgets.apiResponseTime,
+        actual: worst.p95,
+        endpoints: slowEndpoints.map(({ method, pattern, p95, count, components }) => ({ method, pattern, p95, count, components })),
+        severity: worst.p95 > this.performanceBudgets.apiResponseTime * 2 ? 'critical' : 'warning',
+        message: `${slowEndpoints.length} endpoint(s) exceed API response time budget of ${this.performanceBudgets.apiResponseTime}ms at p95 (worst: ${worst.method} ${worst.pattern} ${worst.p95.toFixed(0)}ms)`
+      });
+    }
+
     // Check component count budget
     const componentCount = this.metrics.componentRenderTimes.size;
     if (componentCount > this.performanceBudgets.componentCount) {
@@ -247,48 +2081,75 @@ export class PerformanceMonitor {
     if (violations.length > 0) {
       this.budgetViolations.push({
         timestamp: now,
+        route: this.currentRoute,
         violations
       });
 
+      if (this.currentRoute) {
+        const route = this.getRouteEntry(this.currentRoute);
+        violations.forEach(violation => {
+          route.budgetViolations[violation.type] = (route.budgetViolations[violation.type] || 0) + 1;
+        });
+      }
+
       // Keep only last 50 violation records
       if (this.budgetViolations.length > 50) {
         this.budgetViolations.shift();
       }
 
-      // Log violations
+      // Log and emit violations
       violations.forEach(violation => {
         const emoji = violation.severity === 'critical' ? '🚨' : violation.severity === 'warning' ? '⚠️' : 'ℹ️';
-        console.warn(`${emoji} Budget violation: ${violation.message}`);
+        logger.warn(`${emoji} Budget violation: ${violation.message}`);
+        this.emit(PERFORMANCE_EVENTS.BUDGET_VIOLATION, { ...violation, timestamp: now });
       });
     }
 
     return violations;
   }
 
+  // Render time of the renders that finished within one frame of the most recent render, with
+  // nested components counted once
+  getLatestFrameRenderTime() {
+    const renders = Array.from(this.metrics.renderHistory.entries())
+      .flatMap(([componentName, history]) => history.map(sample => ({ componentName, sample, overlap: sample.renderTime })))
+      .filter(({ sample }) => sample.startTime !== undefined);
+    if (renders.length === 0) return 0;
+
+    const latestEnd = Math.max(...renders.map(({ sample }) => sample.startTime + sample.renderTime));
+    return this.addSelfRenderTimes(
+      renders.filter(({ sample }) => latestEnd - (sample.startTime + sample.renderTime) < FRAME_DURATION)
+    ).reduce((sum, render) => sum + render.selfTime, 0);
+  }
+
   // New: Component Dependency Tracking
+  // Register a parent/child edge. Monitored components do this automatically from the
+  // nearest PerformanceProvider; pass renderTime to also record a render sample for the child.
   trackComponentDependency(parentComponent, childComponent, renderTime) {
+    if (!parentComponent || parentComponent === childComponent) return;
+
     if (!this.dependencyGraph.has(parentComponent)) {
       this.dependencyGraph.set(parentComponent, new Set());
     }
     this.dependencyGraph.get(parentComponent).add(childComponent);
 
     // Track render history
-    if (!this.metrics.renderHistory.has(childComponent)) {
-      this.metrics.renderHistory.set(childComponent, []);
+    if (renderTime !== undefined) {
+      this.recordRender(childComponent, renderTime, {
+        parentComponent,
+        context: 'dependency'
+      });
     }
+  }
 
-    const history = this.metrics.renderHistory.get(childComponent);
-    history.push({
-      timestamp: Date.now(),
-      renderTime,
-      parentComponent,
-      context: 'dependency'
-    });
-
-    // Keep only last 100 renders per component
-    if (history.length > 100) {
-      history.shift();
+  // Parent of a component as registered in the dependency graph
+  getParentComponent(componentName) {
+    for (const [parent, children] of this.dependencyGraph.entries()) {
+      if (children.has(componentName)) {
+        return parent;
+      }
     }
+    return null;
   }
 
   getComponentDependencies(componentName) {
@@ -305,41 +2166,75 @@ export class PerformanceMonitor {
     return {
       dependencies: Array.from(dependencies),
       dependents,
-      renderHistory: this.metrics.renderHistory.get(componentName) || []
+      renderHistory: this.metrics.renderHistory.get(componentName) || [],
+      instances: this.getInstanceStats(componentName)
     };
   }
 
   analyzeComponentBottlenecks() {
     const bottlenecks = [];
 
-    for (const [componentName, renderTime] of this.metrics.componentRenderTimes.entries()) {
+    // Consumers of providers whose value is recreated every render
+    const recreatedContexts = new Map();
+    this.getContextStats()
+      .filter(context => context.recreatedEveryRender)
+      .forEach(context => {
+        Object.entries(context.consumers).forEach(([consumerName, renders]) => {
+          if (!recreatedContexts.has(consumerName)) {
+            recreatedContexts.set(consumerName, []);
+          }
+          recreatedContexts.get(consumerName).push({ context: context.name, renders });
+        });
+      });
+
+    for (const componentName of this.metrics.renderHistory.keys()) {
       const dependencies = this.getComponentDependencies(componentName);
       const history = dependencies.renderHistory;
 
-      if (history.length < 5) continue; // Need sufficient data
+      const longTaskContribution = this.metrics.longTaskContributions.get(componentName);
+      const renderCauses = this.metrics.renderCauses.get(componentName);
+      const wastedRatio = renderCauses && renderCauses.reRenders > 0
+        ? renderCauses.wastedRenders / renderCauses.reRenders
+        : 0;
+      const hasWastedRenders = renderCauses && renderCauses.wastedRenders >= 5 && wastedRatio > 0.3;
+      const contextIssues = recreatedContexts.get(componentName) || [];
+
+      // Need sufficient data, unless the component was caught blocking the main thread or
+      // re-rendered by a context (those renders bypass withPerformanceMonitoring's memo)
+      if (history.length < 5 && !longTaskContribution && contextIssues.length === 0) continue;
 
       // Calculate render frequency
       const recentHistory = history.slice(-10);
       const timeSpan = recentHistory[recentHistory.length - 1].timestamp - recentHistory[0].timestamp;
-      const renderFrequency = recentHistory.length / (timeSpan / 1000); // renders per second
+      const renderFrequency = timeSpan > 0 ? recentHistory.length / (timeSpan / 1000) : 0; // renders per second
 
-      // Calculate average render time
-      const avgRenderTime = recentHistory.reduce((sum, h) => sum + h.renderTime, 0) / recentHistory.length;
+      // Render time distribution over the full sample history
+      const stats = this.getRenderStats(componentName);
+      const avgRenderTime = stats.mean;
 
       // Identify bottlenecks
       const isBottleneck = (
-        avgRenderTime > this.performanceBudgets.renderTime ||
+        stats.p95 > this.performanceBudgets.renderTime ||
         renderFrequency > this.performanceBudgets.reRendersPerSecond ||
-        dependencies.dependencies.length > 10 // too many child components
+        dependencies.dependencies.length > 10 || // too many child components
+        Boolean(longTaskContribution) || // rendered inside a long task
+        hasWastedRenders ||
+        contextIssues.length > 0
       );
 
       if (isBottleneck) {
         bottlenecks.push({
           componentName,
           avgRenderTime,
+          p95RenderTime: stats.p95,
+          renderStats: stats,
           renderFrequency,
           dependencyCount: dependencies.dependencies.length,
           dependentCount: dependencies.dependents.length,
+          longTaskCount: longTaskContribution ? longTaskContribution.count : 0,
+          wastedRenders: renderCauses ? renderCauses.wastedRenders : 0,
+          culpritProps: renderCauses ? getCulpritProps(renderCauses) : [],
+          recreatedContexts: contextIssues,
           issues: [],
           recommendations: []
         });
@@ -347,26 +2242,125 @@ export class PerformanceMonitor {
         const bottleneck = bottlenecks[bottlenecks.length - 1];
 
         // Identify specific issues
-        if (avgRenderTime > this.performanceBudgets.renderTime) {
-          bottleneck.issues.push(`Slow render time: ${avgRenderTime.toFixed(2)}ms`);
+        if (stats.p95 > this.performanceBudgets.renderTime) {
+          bottleneck.issues.push(`Slow render time: p95 ${stats.p95.toFixed(2)}ms (mean ${avgRenderTime.toFixed(2)}ms over ${stats.count} renders)`);
           bottleneck.recommendations.push('Consider memoization with React.memo()');
         }
 
         if (renderFrequency > this.performanceBudgets.reRendersPerSecond) {
           bottleneck.issues.push(`High re-render frequency: ${renderFrequency.toFixed(1)}/sec`);
-          bottleneck.recommendations.push('Check for unnecessary prop changes or state updates');
+          if (!renderCauses) {
+            bottleneck.recommendations.push('Check for unnecessary prop changes or state updates');
+          }
+        }
+
+        if (hasWastedRenders) {
+          bottleneck.issues.push(`Wasted renders: ${renderCauses.wastedRenders} of ${renderCauses.reRenders} re-renders had no real input change`);
+        }
+
+        // Name the concrete props behind the re-renders
+        bottleneck.culpritProps.forEach(({ name, changes, referenceOnly }) => {
+          if (referenceOnly === changes) {
+            bottleneck.recommendations.push(`Prop \`${name}\` changed by reference only in ${referenceOnly} re-render(s) - memoize it in the parent with useCallback/useMemo`);
+          } else {
+            bottleneck.recommendations.push(`Prop \`${name}\` changed in ${changes} re-render(s) (${referenceOnly} by reference only) - check why the parent produces a new value`);
+          }
+        });
+
+        if (renderCauses && renderCauses.causes.parent && bottleneck.culpritProps.length === 0 && hasWastedRenders) {
+          bottleneck.recommendations.push(`Re-rendered ${renderCauses.causes.parent} time(s) only because its parent did - wrap it in React.memo()`);
         }
 
         if (dependencies.dependencies.length > 10) {
           bottleneck.issues.push(`Too many child components: ${dependencies.dependencies.length}`);
           bottleneck.recommendations.push('Consider component composition or virtualization');
         }
+
+        contextIssues.forEach(({ context, renders }) => {
+          bottleneck.issues.push(`Re-rendered ${renders} time(s) by context ${context}, whose value is recreated on every provider render`);
+          bottleneck.recommendations.push(`Memoize the ${context} provider value with useMemo, or split the context`);
+        });
+
+        if (longTaskContribution) {
+          bottleneck.issues.push(`Caused long tasks: rendered in ${longTaskContribution.count} blocked frame(s), ${longTaskContribution.renderTime.toFixed(2)}ms of render work`);
+          bottleneck.recommendations.push('Split expensive render work or defer it with startTransition/useDeferredValue');
+        }
       }
     }
 
     return bottlenecks.sort((a, b) => b.avgRenderTime - a.avgRenderTime);
   }
 
+  // Re-render cascades: for every parent, the descendant renders its updates pulled along.
+  // Renders are grouped per commit; a descendant counts when every component between it and
+  // the parent rendered in the same commit (a skipped, memoized child stops the cascade).
+  analyzeRenderCascades({ windowMs = 10000 } = {}) {
+    this.closeCommit();
+    const since = Date.now() - windowMs;
+
+    // commitId -> component -> { count, renderTime }
+    const commits = new Map();
+    for (const [componentName, history] of this.metrics.renderHistory.entries()) {
+      history
+        .filter(sample => sample.timestamp >= since && sample.commitId !== undefined)
+        .forEach(sample => {
+          if (!commits.has(sample.commitId)) {
+            commits.set(sample.commitId, new Map());
+          }
+          const renders = commits.get(sample.commitId);
+          const render = renders.get(componentName) || { count: 0, renderTime: 0 };
+          render.count++;
+          render.renderTime += sample.renderTime;
+          renders.set(componentName, render);
+        });
+    }
+
+    const cascades = new Map();
+    commits.forEach(renders => {
+      renders.forEach((render, componentName) => {
+        const children = Array.from(this.dependencyGraph.get(componentName) || [])
+          .filter(child => renders.has(child));
+        if (children.length === 0) return;
+
+        // Render time of the direct children already includes their subtrees
+        const childRenderTime = children.reduce((sum, child) => sum + renders.get(child).renderTime, 0);
+        const affected = new Set();
+        const queue = [...children];
+        while (queue.length > 0) {
+          const current = queue.shift();
+          if (affected.has(current) || current === componentName) continue;
+          affected.add(current);
+          (this.dependencyGraph.get(current) || new Set()).forEach(child => {
+            if (renders.has(child)) queue.push(child);
+          });
+        }
+
+        const cascade = cascades.get(componentName) || {
+          componentName,
+          updates: 0,
+          childRenders: 0,
+          childRenderTime: 0,
+          affectedComponents: {}
+        };
+        cascade.updates++;
+        cascade.childRenderTime += childRenderTime;
+        affected.forEach(child => {
+          const count = renders.get(child).count;
+          cascade.childRenders += count;
+          cascade.affectedComponents[child] = (cascade.affectedComponents[child] || 0) + count;
+        });
+        cascades.set(componentName, cascade);
+      });
+    });
+
+    return Array.from(cascades.values())
+      .map(cascade => ({
+        ...cascade,
+        message: `${cascade.componentName} updates caused ${cascade.childRenders} child renders and ${cascade.childRenderTime.toFixed(0)}ms over the last ${(windowMs / 1000).toFixed(0)}s`
+      }))
+      .sort((a, b) => b.childRenderTime - a.childRenderTime || b.childRenders - a.childRenders);
+  }
+
   // New: Performance Profiling Session
   startProfilingSession(sessionName = 'default') {
     const session = {
@@ -374,35 +2368,61 @@ export class PerformanceMonitor {
       startTime: Date.now(),
       startMemory: performance.memory ? performance.memory.usedJSHeapSize : 0,
       initialComponentCount: this.metrics.componentRenderTimes.size,
+      frames: createFrameMetrics(),
+      commitIds: [],
+      flameGraph: createFlameNode(sessionName),
+      marks: [],
+      measures: [],
+      networkRequests: [],
       snapshots: []
     };
 
+    // Renders before this point belong to the previous commit
+    this.closeCommit();
+
     // Take initial snapshot
     session.snapshots.push(this.takePerformanceSnapshot('session-start'));
 
     this.currentSession = session;
-    console.log(`🔍 Performance profiling session '${sessionName}' started`);
+    this.sessions.set(sessionName, session);
+    logger.info(`🔍 Performance profiling session '${sessionName}' started`);
+    this.emit(PERFORMANCE_EVENTS.SESSION_START, { sessionName, session });
 
     return session;
   }
 
   takePerformanceSnapshot(label = 'snapshot') {
+    const since = this.lastSnapshotTime;
+    this.lastSnapshotTime = performance.now();
+
     return {
       label,
       timestamp: Date.now(),
+      // Marks and measures taken since the previous snapshot, by name and time
+      marks: this.metrics.marks
+        .filter(mark => mark.startTime >= since)
+        .map(({ name, startTime }) => ({ name, startTime })),
+      measures: this.metrics.measures
+        .filter(measure => measure.startTime + measure.duration >= since)
+        .map(({ name, startTime, duration }) => ({ name, startTime, duration })),
       memory: performance.memory ? performance.memory.usedJSHeapSize : 0,
       componentCount: this.metrics.componentRenderTimes.size,
       renderTimes: Object.fromEntries(this.metrics.componentRenderTimes),
+      renderStatistics: this.getAllRenderStats(),
       budgetViolations: this.checkPerformanceBudgets()
     };
   }
 
   endProfilingSession() {
     if (!this.currentSession) {
-      console.warn('⚠️ No active profiling session');
+      logger.warn('⚠️ No active profiling session');
       return null;
     }
 
+    // Jank and renders still in progress belong to this session
+    this.closeJankBurst();
+    this.closeCommit();
+
     const session = this.currentSession;
     session.endTime = Date.now();
     session.duration = session.endTime - session.startTime;
@@ -413,6 +2433,7 @@ export class PerformanceMonitor {
     session.snapshots.push(this.takePerformanceSnapshot('session-end'));
 
     // Generate session report
+    const frameRate = summarizeFrames(session.frames);
     const report = {
       session,
       analysis: {
@@ -420,13 +2441,19 @@ export class PerformanceMonitor {
         memoryDelta: session.memoryDelta,
         newComponents: session.snapshots[session.snapshots.length - 1].componentCount - session.initialComponentCount,
         bottlenecks: this.analyzeComponentBottlenecks(),
+        renderCascades: this.analyzeRenderCascades({ windowMs: session.duration }),
+        network: this.getNetworkStats(session.networkRequests),
+        requestWaterfalls: this.analyzeRequestWaterfalls(session.networkRequests),
         budgetViolations: session.snapshots.reduce((total, snapshot) => 
-          total + snapshot.budgetViolations.length, 0)
+          total + snapshot.budgetViolations.length, 0),
+        frameRate,
+        worstJankIntervals: frameRate ? frameRate.worstJankIntervals : []
       }
     };
 
     this.currentSession = null;
-    console.log(`✅ Performance profiling session '${session.name}' completed`, report);
+    logger.info(`✅ Performance profiling session '${session.name}' completed`, report);
+    this.emit(PERFORMANCE_EVENTS.SESSION_END, { sessionName: session.name, session, report });
 
     return report;
   }
@@ -435,100 +2462,217 @@ export class PerformanceMonitor {
 // Global performance monitor instance
 export const performanceMonitor = new PerformanceMonitor();
 
+// Components using usePerformanceMonitor without rendering through monitored(), warned once each
+const unwrappedHookComponents = new Set();
+
+// Hook-monitored component whose body is rendering: { componentName, context, renderCount,
+// wrappedRender }. Measured hooks called in the same body are attributed to it (see
+// useMeasuredComponent); its monitored() output clears it before any child renders.
+let renderingOwner = null;
+
+const useRenderingOwner = (componentName, context) => {
+  const owner = React.useRef(null);
+  if (owner.current === null) {
+    owner.current = { renderCount: 0, wrappedRender: -1 };
+  }
+
+  Object.assign(owner.current, { componentName, context, renderCount: owner.current.renderCount + 1 });
+  if (componentName) {
+    renderingOwner = owner.current;
+  }
+  return owner.current;
+};
+
+// First child of monitored(): the owner rendered its output through monitored()
+const OwnerOutputStart = ({ owner }) => {
+  owner.wrappedRender = owner.renderCount;
+  if (renderingOwner === owner) {
+    renderingOwner = null;
+  }
+  return null;
+};
+
 // React hooks for performance monitoring
+// Returns `monitored(children)`: wrap the component's output in it to time the render, layout
+// effect and passive effect phases like withPerformanceMonitoring does, and to provide
+// PerformanceContext to the children. Call the hook first so the render phase starts with the
+// component; the component's own effects run after the hook's and are not included.
 export const usePerformanceMonitor = (componentName) => {
+  const context = React.useContext(PerformanceContext);
+  const { parentComponent, profilingSession } = context;
+  const owner = useRenderingOwner(componentName, context);
+  const phases = React.useRef({});
+  phases.current = { renderStart: performance.now(), commitId: performanceMonitor.getRenderPassId() };
+  
+  // Register the edge to the nearest monitored parent
   React.useEffect(() => {
-    const startTime = performance.now();
+    performanceMonitor.trackComponentDependency(parentComponent, componentName);
+  }, [parentComponent, componentName]);
+  
+  React.useLayoutEffect(() => {
+    phases.current.layoutEnd = performance.now();
+  });
+  
+  React.useEffect(() => {
+    const passiveEnd = performance.now();
+    const { renderStart, renderEnd, layoutStart, layoutEnd, passiveStart, commitId } = phases.current;
     
-    return () => {
-      const endTime = performance.now();
-      const renderTime = endTime - startTime;
-      performanceMonitor.metrics.componentRenderTimes.set(componentName, renderTime);
-    };
-  }, [componentName]);
+    // Without the markers the render phase would run until the commit, including the siblings
+    // rendered after this component - record nothing rather than the wrong component
+    if (renderEnd === undefined) {
+      if (!unwrappedHookComponents.has(componentName)) {
+        unwrappedHookComponents.add(componentName);
+        logger.warn(`⚠️ usePerformanceMonitor('${componentName}'): render the output through monitored() to record render timing`);
+      }
+      return;
+    }
+    
+    performanceMonitor.recordRender(componentName, renderEnd - renderStart, {
+      startTime: renderStart,
+      commitId,
+      parentComponent,
+      layoutEffectTime: layoutEnd - layoutStart,
+      passiveEffectTime: passiveEnd - passiveStart,
+      totalTime: passiveEnd - renderStart
+    });
+  });
+  
+  return React.useCallback((children) => (
+    <PerformanceProvider componentName={componentName} profilingSession={profilingSession}>
+      <OwnerOutputStart owner={owner} />
+      <EffectPhaseStart phases={phases} componentName={componentName} />
+      {children}
+      <RenderPhaseEnd phases={phases} componentName={componentName} />
+    </PerformanceProvider>
+  ), [componentName, profilingSession, owner]);
 };
 
 // Enhanced performance monitoring hook
+// Timers are spans recorded under the component's name: any number can run at once, and a timer
+// started while another is open becomes its child. endTiming accepts the id returned by
+// startTiming, or an operation name (ending the latest open timer with that name).
+// `monitored(children)` provides PerformanceContext to the children and attributes measured hooks
+// of the component to it, like usePerformanceMonitor's.
 export const usePerformanceMonitoring = (componentName) => {
   const [metrics, setMetrics] = React.useState({});
-  const startTimeRef = React.useRef(null);
+  const activeSpans = React.useRef([]);
+  const context = React.useContext(PerformanceContext);
+  const { parentComponent, profilingSession } = context;
+  const owner = useRenderingOwner(componentName, context);
+  const spanComponent = componentName || parentComponent || UNMONITORED_COMPONENT;
+  
+  // Register the edge to the nearest monitored parent
+  React.useEffect(() => {
+    performanceMonitor.trackComponentDependency(parentComponent, componentName);
+  }, [parentComponent, componentName]);
+  
+  const currentSpanId = () => {
+    const spans = activeSpans.current;
+    return spans.length > 0 ? spans[spans.length - 1].id : null;
+  };
   
-  const startTiming = React.useCallback((operationName) => {
-    startTimeRef.current = performance.now();
-    return operationName;
+  const finishSpan = React.useCallback((span, options) => {
+    const finished = performanceMonitor.endSpan(span, options);
+    
+    setMetrics(prev => ({
+      ...prev,
+      [span.name]: finished.duration
+    }));
+    
+    // Check performance budgets
+    performanceMonitor.checkPerformanceBudgets();
+    
+    return finished.duration;
   }, []);
   
-  const endTiming = React.useCallback((operationName) => {
-    if (startTimeRef.current) {
-      const endTime = performance.now();
-      const duration = endTime - startTimeRef.current;
-      
-      setMetrics(prev => ({
-        ...prev,
-        [operationName]: duration
-      }));
-      
-      // Record to global monitor
-      if (typeof window !== 'undefined' && window.performanceMonitor) {
-        window.performanceMonitor.recordRender(operationName, duration);
-        
-        // Check performance budgets
-        window.performanceMonitor.checkPerformanceBudgets();
-        
-        // Track component dependency if parent component is known
-        // Note: This would need to be moved inside the component hook if needed
+  const startTiming = React.useCallback((operationName, { parentId = currentSpanId() } = {}) => {
+    const span = performanceMonitor.startSpan(spanComponent, operationName, { parentId });
+    activeSpans.current.push(span);
+    return span.id;
+  }, [spanComponent]);
+  
+  const endTiming = React.useCallback((operation, options) => {
+    const spans = activeSpans.current;
+    let index = spans.length - 1;
+    while (index >= 0 && spans[index].id !== operation && spans[index].name !== operation) {
+      index--;
+    }
+    if (index === -1) return 0;
+    
+    const [span] = spans.splice(index, 1);
+    return finishSpan(span, options);
+  }, [finishSpan]);
+  
+  // Time a promise, or a function returning one. Timers started synchronously inside the
+  // function nest under this span; it also receives the span id to pass as parentId later.
+  // Rejections are recorded as failed spans and rethrown.
+  const measureAsync = React.useCallback(async (label, promiseOrFn, { parentId = currentSpanId() } = {}) => {
+    const span = performanceMonitor.startSpan(spanComponent, label, { parentId });
+    
+    try {
+      let pending;
+      activeSpans.current.push(span);
+      try {
+        pending = typeof promiseOrFn === 'function'
+          ? performanceMonitor.runInComponent(spanComponent, () => promiseOrFn(span.id))
+          : promiseOrFn;
+      } finally {
+        activeSpans.current = activeSpans.current.filter(active => active !== span);
       }
       
-      startTimeRef.current = null;
-      return duration;
+      const result = await pending;
+      finishSpan(span);
+      return result;
+    } catch (error) {
+      finishSpan(span, { error });
+      throw error;
     }
-    return 0;
-  }, [componentName]);
+  }, [spanComponent, finishSpan]);
 
   const getBudgetStatus = React.useCallback(() => {
-    if (typeof window !== 'undefined' && window.performanceMonitor) {
-      return window.performanceMonitor.checkPerformanceBudgets();
-    }
-    return [];
+    return performanceMonitor.checkPerformanceBudgets();
   }, []);
 
   const getDependencies = React.useCallback(() => {
-    if (typeof window !== 'undefined' && window.performanceMonitor) {
-      return window.performanceMonitor.getComponentDependencies(componentName);
-    }
-    return { dependencies: [], dependents: [], renderHistory: [] };
+    return performanceMonitor.getComponentDependencies(componentName);
   }, [componentName]);
 
   const isBottleneck = React.useCallback(() => {
-    if (typeof window !== 'undefined' && window.performanceMonitor) {
-      const bottlenecks = window.performanceMonitor.analyzeComponentBottlenecks();
-      return bottlenecks.find(b => b.componentName === componentName) || null;
-    }
-    return null;
+    const bottlenecks = performanceMonitor.analyzeComponentBottlenecks();
+    return bottlenecks.find(b => b.componentName === componentName) || null;
   }, [componentName]);
   
   const getMetrics = React.useCallback(() => {
     return metrics;
   }, [metrics]);
   
-  // Monitor component lifecycle
+  const getSpans = React.useCallback(() => {
+    return performanceMonitor.getSpanTree(spanComponent);
+  }, [spanComponent]);
+  
+  // Monitor component lifecycle: mount to unmount is a 'lifecycle' span, not a render sample
   React.useEffect(() => {
-    const mountTime = performance.now();
+    const lifecycle = performanceMonitor.startSpan(spanComponent, 'lifecycle');
     
     return () => {
-      const unmountTime = performance.now();
-      const lifeTime = unmountTime - mountTime;
-      
-      if (typeof window !== 'undefined' && window.performanceMonitor) {
-        window.performanceMonitor.recordRender(`${componentName}-lifecycle`, lifeTime);
-      }
+      performanceMonitor.endSpan(lifecycle);
     };
-  }, [componentName]);
+  }, [spanComponent]);
+  
+  const monitored = React.useCallback((children) => (componentName ? (
+    <PerformanceProvider componentName={componentName} profilingSession={profilingSession}>
+      <OwnerOutputStart owner={owner} />
+      {children}
+    </PerformanceProvider>
+  ) : children), [componentName, profilingSession, owner]);
   
   return {
+    monitored,
     startTiming,
     endTiming,
+    measureAsync,
     getMetrics,
+    getSpans,
     getBudgetStatus,
     getDependencies,
     isBottleneck,
@@ -536,23 +2680,421 @@ export const usePerformanceMonitoring = (componentName) => {
   };
 };
 
+// Why-did-this-render hook: attributes each re-render of the calling component to changed
+// props, hook state or context. Pass the values to watch as named maps:
+//   useRenderAttribution('Cart', props, { state: { items }, context: { theme } })
+export const useRenderAttribution = (componentName, props = {}, { state = {}, context = {} } = {}) => {
+  const previousInputs = React.useRef(null);
+  const inputs = { state, context, props };
+
+  const attribution = previousInputs.current
+    ? attributeRender({
+      state: [previousInputs.current.state, state],
+      context: [previousInputs.current.context, context],
+      props: [previousInputs.current.props, props],
+    })
+    : null;
+  previousInputs.current = inputs;
+
+  React.useEffect(() => {
+    if (attribution) {
+      performanceMonitor.recordRenderCause(componentName, attribution);
+    }
+  });
+
+  return attribution;
+};
+
+// Why a hook's dependencies differ from the previous commit: null when nothing changed
+const getDependencyChanges = (previous, deps) => {
+  if (!previous) return ['mount'];
+  if (!deps) return ['every render'];
+
+  const changes = diffValues(previous.deps, deps);
+  return changes.length > 0
+    ? changes.map(({ name, kind }) => (kind === 'reference' ? `deps[${name}] (reference)` : `deps[${name}]`))
+    : null;
+};
+
+// Count renders and recomputes of a measured hook, with the dependency changes behind each.
+// Returns the changes and a version that is bumped whenever the dependencies changed since the
+// last commit - the measured hooks recompute on it instead of passing the caller's deps to React.
+const useHookDependencyTracking = (getComponentName, label, type, deps) => {
+  const previous = React.useRef(null);
+  const changes = getDependencyChanges(previous.current, deps);
+  const version = previous.current ? previous.current.version + (changes ? 1 : 0) : 0;
+
+  React.useEffect(() => {
+    previous.current = { deps, version };
+    performanceMonitor.recordHookRender(getComponentName(), label, { type, changes });
+  });
+
+  return { changes, version };
+};
+
+// Component the measured hooks of the rendering component are attributed to: the component itself
+// when it is monitored with usePerformanceMonitor/usePerformanceMonitoring and renders through
+// their monitored(), otherwise the nearest monitored ancestor (PerformanceContext). Whether the
+// output went through monitored() is only known once the children render, so the name is
+// resolved when the time is recorded.
+const useMeasuredComponent = () => {
+  const context = React.useContext(PerformanceContext);
+  const owner = renderingOwner && renderingOwner.context === context ? renderingOwner : null;
+  const render = owner ? owner.renderCount : null;
+  const getComponentName = React.useRef(null);
+
+  getComponentName.current = () => (
+    (owner && owner.wrappedRender === render ? owner.componentName : context.parentComponent) ||
+    UNMONITORED_COMPONENT
+  );
+
+  return React.useCallback(() => getComponentName.current(), []);
+};
+
+// The measured hooks take (label, callback, deps). They also accept the callback and dependencies
+// first, (callback, deps, label), the order react-hooks/exhaustive-deps can check (see
+// additionalHooks in .eslintrc.js).
+const getMeasuredHookArgs = (args) => (typeof args[0] === 'string' ? [args[1], args[2], args[0]] : args);
+
+// useMemo that times its factory and attributes the time to the enclosing monitored component
+export const useMeasuredMemo = (...args) => {
+  const [factory, deps, label] = getMeasuredHookArgs(args);
+  const getComponentName = useMeasuredComponent();
+  const computeTime = React.useRef(null);
+  const memo = React.useRef(null);
+
+  const { version } = useHookDependencyTracking(getComponentName, label, 'memo', deps);
+
+  if (!memo.current || memo.current.version !== version) {
+    const startTime = performance.now();
+    const value = factory();
+    computeTime.current = performance.now() - startTime;
+    memo.current = { version, value };
+  }
+
+  React.useEffect(() => {
+    if (computeTime.current !== null) {
+      performanceMonitor.recordHookTime(getComponentName(), label, 'memo', computeTime.current);
+      computeTime.current = null;
+    }
+  });
+
+  return memo.current.value;
+};
+
+// useEffect that times its effect body
+export const useMeasuredEffect = (...args) => {
+  const [effect, deps, label] = getMeasuredHookArgs(args);
+  const getComponentName = useMeasuredComponent();
+  const latestEffect = React.useRef(effect);
+  latestEffect.current = effect;
+
+  const { version } = useHookDependencyTracking(getComponentName, label, 'effect', deps);
+
+  React.useEffect(() => {
+    const componentName = getComponentName();
+    const startTime = performance.now();
+    const cleanup = performanceMonitor.runInComponent(componentName, latestEffect.current);
+    performanceMonitor.recordHookTime(componentName, label, 'effect', performance.now() - startTime);
+    return cleanup;
+  }, [getComponentName, label, version]);
+};
+
+// useCallback that times every call; recomputes count how often the callback was recreated
+export const useMeasuredCallback = (...args) => {
+  const [callback, deps, label] = getMeasuredHookArgs(args);
+  const getComponentName = useMeasuredComponent();
+  const memo = React.useRef(null);
+
+  const { version } = useHookDependencyTracking(getComponentName, label, 'callback', deps);
+
+  if (!memo.current || memo.current.version !== version) {
+    memo.current = {
+      version,
+      callback: (...callbackArgs) => {
+        const componentName = getComponentName();
+        const startTime = performance.now();
+        try {
+          return performanceMonitor.runInComponent(componentName, () => callback(...callbackArgs));
+        } finally {
+          performanceMonitor.recordHookTime(componentName, label, 'callback', performance.now() - startTime);
+        }
+      }
+    };
+  }
+
+  return memo.current.callback;
+};
+
+// react-router adapter: reports route changes from the router, optionally named by the matched
+// route pattern so every /users/:id page shares one route entry. Initialize monitoring with
+// `routes: false` when using it, so the History API tracker does not report the same changes.
+//   const location = useLocation();
+//   useRouteTracking(location, '/users/:id');
+export const useRouteTracking = (location, routeName) => {
+  const path = routeName || location.pathname;
+  const key = location.key || `${location.pathname}${location.search || ''}`;
+  const navigation = React.useRef(null);
+
+  // The router renders the new location first - that is where the navigation starts
+  if (!navigation.current || navigation.current.key !== key) {
+    navigation.current = { key, startTime: performance.now() };
+  }
+
+  React.useLayoutEffect(() => {
+    performanceMonitor.startNavigation(path, { type: 'router', startTime: navigation.current.startTime });
+  }, [key, path]);
+};
+
+// Monitored contexts: context -> { name, version } (the version numbers value identity changes
+// of all providers of the context)
+const monitoredContexts = new WeakMap();
+
+// Enclosing MonitoredProviders: { context, provider, parent } where provider is the instance's
+// { id, value, version } - consumers follow the version of their own provider, not of the context
+const MonitoredProviderContext = React.createContext(null);
+let nextProviderId = 1;
+
+const findMonitoredProvider = (chain, context) => {
+  let current = chain;
+  while (current && current.context !== context) {
+    current = current.parent;
+  }
+  return current ? current.provider : null;
+};
+
+// A regular React context (useContext and Consumer keep working) whose providers and consumers
+// can be monitored: render <MonitoredProvider context={...}> and read it with useMonitoredContext
+// to count the consumers re-rendered by each value change.
+export const createMonitoredContext = (defaultValue, name = 'Context') => {
+  const context = React.createContext(defaultValue);
+  context.displayName = name;
+  monitoredContexts.set(context, { name, version: 0 });
+  return context;
+};
+
+export const MonitoredProvider = ({ context, value, children }) => {
+  const state = monitoredContexts.get(context);
+  const parent = React.useContext(MonitoredProviderContext);
+  const provider = React.useRef(null);
+  let change = null;
+
+  if (!provider.current) {
+    provider.current = { id: nextProviderId++, value, version: state ? ++state.version : 0 };
+  } else if (state && !Object.is(provider.current.value, value)) {
+    change = { version: ++state.version, recreated: isValueEqual(provider.current.value, value) };
+    provider.current.value = value;
+    provider.current.version = change.version;
+  }
+
+  const chain = React.useMemo(
+    () => ({ context, provider: provider.current, parent }),
+    [context, parent]
+  );
+
+  React.useEffect(() => {
+    if (!state) return;
+    performanceMonitor.recordContextProviderRender(state.name, {
+      providerId: provider.current.id,
+      changed: Boolean(change),
+      recreated: Boolean(change && change.recreated),
+      version: change ? change.version : provider.current.version
+    });
+  });
+
+  return (
+    <MonitoredProviderContext.Provider value={chain}>
+      <context.Provider value={value}>{children}</context.Provider>
+    </MonitoredProviderContext.Provider>
+  );
+};
+
+// useContext that counts this component as a consumer re-rendered by value changes of its provider.
+// The consumer is named after the enclosing monitored component unless `consumerName` is given.
+export const useMonitoredContext = (context, consumerName) => {
+  const value = React.useContext(context);
+  const { parentComponent } = React.useContext(PerformanceContext);
+  const state = monitoredContexts.get(context);
+  const provider = findMonitoredProvider(React.useContext(MonitoredProviderContext), context);
+  const version = provider ? provider.version : 0;
+  const lastVersion = React.useRef(version);
+
+  React.useEffect(() => {
+    if (!state || !provider || lastVersion.current === version) return;
+    lastVersion.current = version;
+    performanceMonitor.recordContextConsumerRender(state.name, version, consumerName || parentComponent || UNMONITORED_COMPONENT);
+  });
+
+  return value;
+};
+
+// The MonitoredSuspense boundary lazy components suspend in: { name, suspendedBy: Set(chunk) }
+const SuspenseBoundaryContext = React.createContext(null);
+
+// React.lazy replacement timing the chunk fetch through measureBundleLoad under `name`.
+// The returned component tells the enclosing MonitoredSuspense it suspended; `preload()` starts
+// fetching ahead of render.
+export const lazyWithMetrics = (importFn, name) => {
+  let load = null;
+  let loaded = false;
+
+  const loadChunk = () => {
+    if (!load) {
+      load = performanceMonitor.measureBundleLoad(name, importFn()).then((module) => {
+        loaded = true;
+        return module;
+      });
+    }
+    return load;
+  };
+
+  const LazyComponent = React.lazy(loadChunk);
+
+  const LazyWithMetrics = React.forwardRef((props, ref) => {
+    const boundary = React.useContext(SuspenseBoundaryContext);
+    if (!loaded && boundary) {
+      boundary.suspendedBy.add(name);
+    }
+
+    return <LazyComponent ref={ref} {...props} />;
+  });
+
+  LazyWithMetrics.displayName = `lazyWithMetrics(${name})`;
+  LazyWithMetrics.preload = loadChunk;
+
+  return LazyWithMetrics;
+};
+
+// Mounted while the fallback is visible
+const SuspenseFallback = ({ boundary, children }) => {
+  React.useLayoutEffect(() => {
+    const shownAt = performance.now();
+
+    return () => {
+      performanceMonitor.recordSuspenseFallback(boundary.name, {
+        duration: performance.now() - shownAt,
+        chunks: Array.from(boundary.suspendedBy)
+      });
+      boundary.suspendedBy.clear();
+    };
+  }, [boundary]);
+
+  return children;
+};
+
+// React.Suspense recording how long each fallback stayed visible and which lazyWithMetrics
+// components caused it
+export const MonitoredSuspense = ({ name = 'Suspense', fallback = null, children }) => {
+  const boundary = React.useRef(null);
+  if (boundary.current === null) {
+    boundary.current = { name, suspendedBy: new Set() };
+  }
+
+  return (
+    <SuspenseBoundaryContext.Provider value={boundary.current}>
+      <React.Suspense fallback={<SuspenseFallback boundary={boundary.current}>{fallback}</SuspenseFallback>}>
+        {children}
+      </React.Suspense>
+    </SuspenseBoundaryContext.Provider>
+  );
+};
+
+// Phase markers rendered around the wrapped component. Effects run child-first and in sibling
+// order, so the start marker's effects fire before the wrapped subtree's, and the end marker
+// renders once the wrapped subtree has finished rendering.
+// The wrapped subtree's effects run with the component active (see enterComponent).
+const EffectPhaseStart = ({ phases, componentName }) => {
+  React.useLayoutEffect(() => {
+    phases.current.layoutStart = performance.now();
+    performanceMonitor.enterComponent(componentName);
+  });
+  React.useEffect(() => {
+    phases.current.passiveStart = performance.now();
+    performanceMonitor.enterComponent(componentName);
+  });
+  return null;
+};
+
+const RenderPhaseEnd = ({ phases, componentName }) => {
+  phases.current.renderEnd = performance.now();
+  React.useLayoutEffect(() => {
+    performanceMonitor.exitComponent(componentName);
+  });
+  React.useEffect(() => {
+    performanceMonitor.exitComponent(componentName);
+  });
+  return null;
+};
+
 // HOC for performance monitoring
-export const withPerformanceMonitoring = (WrappedComponent, componentName) => {
+// Render phase, layout effects and passive effects are timed separately (renderTime,
+// layoutEffectTime, passiveEffectTime); totalTime spans render start to the last passive effect.
+// Every monitored component provides PerformanceContext to its children, so nested monitored
+// components register their parent/child edges in dependencyGraph automatically.
+// Renders are also tracked per instance: pass `getInstanceKey(props)` (e.g. the id used as React
+// key) for stable ids, otherwise every mounted instance gets a sequential one.
+export const withPerformanceMonitoring = (WrappedComponent, componentName, { getInstanceKey } = {}) => {
+  let instanceCounter = 0;
+
   const PerformanceMonitoredComponent = React.memo((props) => {
-    const renderStartTime = React.useRef(performance.now());
+    const phases = React.useRef({});
+    phases.current = { renderStart: performance.now(), commitId: performanceMonitor.getRenderPassId() };
+    const previousProps = React.useRef(null);
+    const instanceRef = React.useRef(null);
+    const { parentComponent, profilingSession } = React.useContext(PerformanceContext);
+
+    if (instanceRef.current === null) {
+      instanceRef.current = `#${++instanceCounter}`;
+    }
+    const instanceId = getInstanceKey ? String(getInstanceKey(props)) : instanceRef.current;
+    
+    // React.memo only lets prop identity changes through - find out whether any value changed
+    const attribution = previousProps.current
+      ? attributeRender({ props: [previousProps.current, props] })
+      : null;
+    previousProps.current = props;
+    
+    React.useEffect(() => {
+      performanceMonitor.trackComponentDependency(parentComponent, componentName);
+    }, [parentComponent]);
+    
+    React.useLayoutEffect(() => {
+      phases.current.layoutEnd = performance.now();
+    });
     
     React.useEffect(() => {
-      const renderTime = performance.now() - renderStartTime.current;
-      performanceMonitor.metrics.componentRenderTimes.set(componentName, renderTime);
+      const passiveEnd = performance.now();
+      const { renderStart, renderEnd, layoutStart, layoutEnd, passiveStart, commitId } = phases.current;
+      
+      // Recorded after paint: pass when the render started and the commit it belongs to
+      performanceMonitor.recordRender(componentName, renderEnd - renderStart, {
+        startTime: renderStart,
+        commitId,
+        parentComponent,
+        instanceId,
+        layoutEffectTime: layoutEnd - layoutStart,
+        passiveEffectTime: passiveEnd - passiveStart,
+        totalTime: passiveEnd - renderStart
+      });
       
-      if (renderTime > performanceMonitor.thresholds.slowRender) {
-        performanceMonitor.metrics.slowComponents.add(componentName);
+      if (attribution) {
+        performanceMonitor.recordRenderCause(componentName, attribution);
       }
     });
     
-    renderStartTime.current = performance.now();
+    // After the render above is recorded, so the instance exists
+    React.useEffect(() => {
+      performanceMonitor.setInstanceMounted(componentName, instanceId, true);
+      return () => performanceMonitor.setInstanceMounted(componentName, instanceId, false);
+    }, [instanceId]);
     
-    return <WrappedComponent {...props} />;
+    return (
+      <PerformanceProvider componentName={componentName} profilingSession={profilingSession}>
+        <EffectPhaseStart phases={phases} componentName={componentName} />
+        <WrappedComponent {...props} />
+        <RenderPhaseEnd phases={phases} componentName={componentName} />
+      </PerformanceProvider>
+    );
   });
   
   PerformanceMonitoredComponent.displayName = `withPerformanceMonitoring(${WrappedComponent.displayName || WrappedComponent.name || 'Component'})`;
@@ -561,26 +3103,27 @@ export const withPerformanceMonitoring = (WrappedComponent, componentName) => {
 };
 
 // Bundle analysis utilities
-export const analyzeBundleSize = async () => {
+// All loaded assets (scripts, stylesheets, fonts, images and others), largest encoded size first.
+// `size` is the encoded size; see ./resourceAnalyzer.js for the other fields and per-category totals.
+export const analyzeBundleSize = async (options = {}) => {
   if (typeof window !== 'undefined' && window.performance) {
-    const entries = performance.getEntriesByType('resource');
-    const jsFiles = entries.filter(entry => entry.name.endsWith('.js'));
-    
-    const analysis = jsFiles.map(file => ({
-      name: file.name.split('/').pop(),
-      size: file.transferSize,
-      loadTime: file.duration,
-      cached: file.transferSize === 0,
+    const { resources } = analyzeResources(performance.getEntriesByType('resource'), {
+      origin: window.location.origin,
+      ...options
+    });
+
+    return resources.map(resource => ({
+      ...resource,
+      size: resource.encodedSize,
+      cached: resource.cacheStatus === 'cache',
     }));
-    
-    return analysis.sort((a, b) => b.size - a.size);
   }
   
   return [];
 };
 
-// Memory leak detection
-export const detectMemoryLeaks = () => {
+// Memory leak detection: samples memory every `interval` ms and watches the trend
+export const detectMemoryLeaks = ({ interval = 5000 } = {}) => {
   const measurements = [];
   let intervalId;
   
@@ -598,14 +3141,21 @@ export const detectMemoryLeaks = () => {
         }, 0);
         
         if (trend > 5 * 1024 * 1024) { // 5MB growth
-          console.warn('Potential memory leak detected - consistent growth pattern');
+          logger.warn('Potential memory leak detected - consistent growth pattern');
+          performanceMonitor.emit(PERFORMANCE_EVENTS.MEMORY_LEAK_SUSPECTED, {
+            growth: trend,
+            sampleCount: recent.length,
+            samples: recent,
+            currentUsage: usage.used,
+            timestamp: Date.now(),
+          });
         }
       }
     }
   };
   
   // Start monitoring
-  intervalId = setInterval(measure, 5000); // Every 5 seconds
+  intervalId = setInterval(measure, interval);
   
   // Return cleanup function
   return () => {
@@ -619,8 +3169,8 @@ export const getOptimizationSuggestions = (component) => {
   const suggestions = [];
   
   // Check if component is slow
-  const renderTime = performanceMonitor.metrics.componentRenderTimes.get(component);
-  if (renderTime > 16) {
+  const stats = performanceMonitor.getRenderStats(component);
+  if (stats && stats.p95 > performanceMonitor.thresholds.slowRender) {
     suggestions.push({
       type: 'memoization',
       message: 'Consider using React.memo or useMemo for expensive computations',
@@ -650,200 +3200,208 @@ export const getOptimizationSuggestions = (component) => {
 };
 
 // Development tools integration
-export const enableDevtools = () => {
-  if (process.env.NODE_ENV === 'development') {
-    // Add performance monitoring to window for debugging
-    window.performanceMonitor = performanceMonitor;
-    
-    // Add console commands
-    window.getPerformanceReport = () => {
-      console.table(performanceMonitor.generateReport());
-    };
-    
-    window.analyzeBundles = async () => {
-      const analysis = await analyzeBundleSize();
-      console.table(analysis);
-    };
-    
-    // Start memory monitoring
-    const stopMemoryMonitoring = detectMemoryLeaks();
-    window.stopMemoryMonitoring = stopMemoryMonitoring;
+// Installs console helpers on window (development only). Returns a function that removes them
+// again; calling it twice returns the same disposer instead of starting a second interval.
+let disposeDevtools = null;
+
+export const enableDevtools = ({ memoryLeakDetection = true } = {}) => {
+  if (process.env.NODE_ENV !== 'development' || typeof window === 'undefined') {
+    return () => {};
+  }
+
+  if (disposeDevtools) {
+    return disposeDevtools;
   }
+
+  // Start memory monitoring
+  const stopMemoryMonitoring = memoryLeakDetection ? detectMemoryLeaks() : () => [];
+
+  // Add performance monitoring and console commands to window for debugging
+  const uninstallGlobals = installWindowGlobals({
+    performanceMonitor,
+    getPerformanceReport: () => {
+      logger.table(performanceMonitor.generateReport(), '📊 Performance Report');
+    },
+    analyzeBundles: async () => {
+      const analysis = await analyzeBundleSize();
+      logger.table(analysis, '📦 Bundle Analysis');
+    },
+    stopMemoryMonitoring,
+  });
+
+  disposeDevtools = () => {
+    stopMemoryMonitoring();
+    uninstallGlobals();
+    disposeDevtools = null;
+  };
+
+  return disposeDevtools;
 };
 
+// Handle of the active initializePerformanceMonitoring call
+let activeMonitoringHandle = null;
+
 // Initialize performance monitoring
+// Returns a handle whose dispose() clears every interval, window global and listener it installed
 export const initializePerformanceMonitoring = (config = {}) => {
-  if (typeof window === 'undefined') return;
-  
-  // Apply configuration
-  if (config.thresholds) {
-    Object.assign(performanceMonitor.thresholds, config.thresholds);
+  // Re-initializing (e.g. on hot reload) replaces the previous setup instead of stacking monitors
+  if (activeMonitoringHandle) {
+    activeMonitoringHandle.dispose();
   }
-  
+
   // Store configuration
   const monitoringConfig = {
     enabled: config.monitoring?.enabled ?? true,
     interval: config.monitoring?.interval ?? 5000,
+    webVitals: true,
+    longTasks: true,
+    interactions: true,
+    routes: true,
+    resources: true,
+    network: false,
     store: config.store || null,
     ...config
   };
+
+  const disposers = [];
+  const handle = {
+    monitor: performanceMonitor,
+    config: monitoringConfig,
+    dispose: () => {
+      // Tear down in reverse installation order
+      disposers.splice(0).reverse().forEach(dispose => dispose());
+      if (activeMonitoringHandle === handle) {
+        activeMonitoringHandle = null;
+      }
+    },
+  };
+
+  if (typeof window === 'undefined') return handle;
+  
+  // Apply configuration
+  if (config.thresholds) {
+    Object.assign(performanceMonitor.thresholds, config.thresholds);
+  }
+  
+  // Enable development tools; leak detection is started below when monitoring is enabled.
+  // Devtools enabled earlier by the app stay under the app's control.
+  if (!disposeDevtools) {
+    disposers.push(enableDevtools({ memoryLeakDetection: false }));
+  }
   
-  // Enable development tools
-  enableDevtools();
+  // Single monitor instance behind the window global
+  disposers.push(installWindowGlobals({ performanceMonitor }));
   
   // Start memory monitoring if enabled
   if (monitoringConfig.enabled) {
-    const stopMemoryMonitoring = detectMemoryLeaks();
-    
-    // Enhanced performance monitoring
-    const performanceData = {
-      renderTimes: [],
-      memoryUsage: [],
-      componentMetrics: {},
-      bundleAnalysis: {},
-      isMonitoring: true,
-    };
+    // One memory sampling loop: leak detection samples, the monitor only samples frames
+    const stopMemoryMonitoring = detectMemoryLeaks({ interval: monitoringConfig.interval });
+    performanceMonitor.startMonitoring(monitoringConfig.interval, { sampleMemory: false });
+    disposers.push(() => {
+      performanceMonitor.stopMonitoring();
+      stopMemoryMonitoring();
+    });
     
-    // Global performance monitor with enhanced API
-    window.performanceMonitor = {
-      ...performanceMonitor,
-      
-      // Get comprehensive performance data
-      getPerformanceData: () => {
-        const metrics = performanceMonitor.generateReport();
-        return {
-          renderTimes: Array.from(performanceMonitor.metrics.componentRenderTimes.values()),
-          memoryUsage: performanceMonitor.metrics.memoryUsage.map(m => m.used),
-          componentMetrics: Object.fromEntries(
-            Array.from(performanceMonitor.metrics.componentRenderTimes.entries()).map(([name, time]) => [
-              name,
-              {
-                renderCount: 1,
-                averageRenderTime: time,
-                maxRenderTime: time,
-              }
-            ])
-          ),
-          bundleAnalysis: Object.fromEntries(performanceMonitor.metrics.bundleLoadTimes),
-          slowComponents: Array.from(performanceMonitor.metrics.slowComponents),
-          ...performanceData,
-        };
-      },
-      
-      // Record render time
-      recordRender: (componentName, renderTime) => {
-        performanceMonitor.metrics.componentRenderTimes.set(componentName, renderTime);
-        performanceData.renderTimes.push(renderTime);
-        
-        // Update component metrics
-        if (!performanceData.componentMetrics[componentName]) {
-          performanceData.componentMetrics[componentName] = {
-            renderCount: 0,
-            totalRenderTime: 0,
-            maxRenderTime: 0,
-          };
-        }
-        
-        const metrics = performanceData.componentMetrics[componentName];
-        metrics.renderCount++;
-        metrics.totalRenderTime += renderTime;
-        metrics.maxRenderTime = Math.max(metrics.maxRenderTime, renderTime);
-        metrics.averageRenderTime = metrics.totalRenderTime / metrics.renderCount;
-      },
-      
-      // Record memory usage
-      recordMemory: (memoryUsage) => {
-        performanceData.memoryUsage.push(memoryUsage);
-        if (performanceData.memoryUsage.length > 100) {
-          performanceData.memoryUsage.shift();
-        }
-      },
-      
-      // Control monitoring
-      startMonitoring: () => {
-        performanceData.isMonitoring = true;
-      },
-      
-      stopMonitoring: () => {
-        performanceData.isMonitoring = false;
-        if (stopMemoryMonitoring) {
-          stopMemoryMonitoring();
-        }
-      },
-      
-      // Clear data
-      clearData: () => {
-        performanceData.renderTimes = [];
-        performanceData.memoryUsage = [];
-        performanceData.componentMetrics = {};
-        performanceMonitor.metrics.componentRenderTimes.clear();
-        performanceMonitor.metrics.bundleLoadTimes.clear();
-        performanceMonitor.metrics.slowComponents.clear();
-        performanceMonitor.metrics.memoryUsage = [];
+    disposers.push(installWindowGlobals({
+      // Enhanced console commands
+      getPerformanceReport: () => {
+        const data = performanceMonitor.getPerformanceData();
+        logger.info('📊 Performance Report', {
+          renderTimes: data.renderTimes,
+          memoryUsage: data.memoryUsage.map(m => (m / 1024 / 1024).toFixed(2) + 'MB'),
+          componentMetrics: data.componentMetrics,
+          slowComponents: data.slowComponents,
+        });
+        return data;
       },
-    };
-    
-    // Enhanced console commands
-    window.getPerformanceReport = () => {
-      const data = window.performanceMonitor.getPerformanceData();
-      console.group('📊 Performance Report');
-      console.log('Render Times:', data.renderTimes);
-      console.log('Memory Usage:', data.memoryUsage.map(m => (m / 1024 / 1024).toFixed(2) + 'MB'));
-      console.log('Component Metrics:', data.componentMetrics);
-      console.log('Slow Components:', data.slowComponents);
-      console.groupEnd();
-      return data;
-    };
-    
-    // Start periodic memory monitoring
-    const memoryInterval = setInterval(() => {
-      if (performanceData.isMonitoring) {
-        const usage = performanceMonitor.measureMemoryUsage();
-        if (usage) {
-          performanceData.memoryUsage.push(usage.used);
-          if (performanceData.memoryUsage.length > 100) {
-            performanceData.memoryUsage.shift();
-          }
-        }
-      }
-    }, monitoringConfig.interval);
-    
-    // Cleanup function
-    window.stopMemoryMonitoring = () => {
-      clearInterval(memoryInterval);
-      stopMemoryMonitoring();
-    };
+      // Cleanup function
+      stopMemoryMonitoring: handle.dispose,
+    }));
   }
   
-  console.log('🚀 Performance monitoring initialized with config:', monitoringConfig);
+  // Collect Core Web Vitals
+  if (monitoringConfig.webVitals) {
+    const webVitalsCollector = createWebVitalsCollector({ monitor: performanceMonitor });
+    webVitalsCollector.start();
+    disposers.push(webVitalsCollector.stop);
+  }
   
-  return {
-    monitor: window.performanceMonitor,
-    config: monitoringConfig,
-  };
+  // Detect long tasks / long animation frames and attribute them to component renders
+  if (monitoringConfig.longTasks) {
+    const longTaskCollector = createLongTaskCollector({ monitor: performanceMonitor });
+    longTaskCollector.start();
+    disposers.push(longTaskCollector.stop);
+  }
+  
+  // Trace clicks and key presses through the renders they cause to the next paint
+  if (monitoringConfig.interactions) {
+    const interactionTracer = createInteractionTracer({ monitor: performanceMonitor });
+    interactionTracer.start();
+    disposers.push(interactionTracer.stop);
+  }
+  
+  // Time store updates and correlate them with re-renders (Redux-style or subscribe/getState stores)
+  if (monitoringConfig.store) {
+    disposers.push(instrumentStore(monitoringConfig.store, {
+      monitor: performanceMonitor,
+      adapter: monitoringConfig.storeAdapter
+    }));
+  }
+  
+  // Analyze loaded assets: size, compression, cache status and origin per category
+  if (monitoringConfig.resources) {
+    const resourceCollector = createResourceCollector({
+      monitor: performanceMonitor,
+      ...(typeof monitoringConfig.resources === 'object' ? monitoringConfig.resources : {})
+    });
+    resourceCollector.start();
+    disposers.push(resourceCollector.stop);
+  }
+  
+  // Time fetch/XHR requests and attribute them to components (opt-in: pass `network: true` or
+  // `network: { getUrlPattern, ignore }`)
+  if (monitoringConfig.network) {
+    const networkCollector = createNetworkCollector({
+      monitor: performanceMonitor,
+      ...(typeof monitoringConfig.network === 'object' ? monitoringConfig.network : {})
+    });
+    networkCollector.start();
+    disposers.push(networkCollector.stop);
+  }
+  
+  // Segment metrics by SPA route (History API)
+  if (monitoringConfig.routes) {
+    const routeTracker = createRouteTracker({ monitor: performanceMonitor });
+    routeTracker.start();
+    disposers.push(routeTracker.stop);
+  }
+  
+  logger.info('🚀 Performance monitoring initialized with config:', monitoringConfig);
+  
+  activeMonitoringHandle = handle;
+  return handle;
 };
 
-if (typeof window !== 'undefined') {
-  enableDevtools();
-}
-
 // Performance Logger - Utility for logging performance-related information
+// Routes through the shared logging pipeline (see configureLogger in ./logger.js)
+const appLogger = createLogger('app');
+
 export const performanceLogger = {
   info: (message, data = null) => {
-    console.log(`🔍 [Performance Info]: ${message}`, data ? data : '');
+    appLogger.info(`🔍 [Performance Info]: ${message}`, data ? data : undefined);
   },
   
   warn: (message, data = null) => {
-    console.warn(`⚠️ [Performance Warning]: ${message}`, data ? data : '');
+    appLogger.warn(`⚠️ [Performance Warning]: ${message}`, data ? data : undefined);
   },
   
   error: (message, data = null) => {
-    console.error(`❌ [Performance Error]: ${message}`, data ? data : '');
+    appLogger.error(`❌ [Performance Error]: ${message}`, data ? data : undefined);
   },
   
   timing: (label, startTime, endTime = performance.now()) => {
     const duration = endTime - startTime;
-    console.log(`⏱️ [Performance Timing] ${label}: ${duration.toFixed(2)}ms`);
+    appLogger.info(`⏱️ [Performance Timing] ${label}: ${duration.toFixed(2)}ms`, { label, duration });
     return duration;
   },
   
@@ -854,17 +3412,19 @@ export const performanceLogger = {
         total: (performance.memory.totalJSHeapSize / 1024 / 1024).toFixed(2) + 'MB',
         limit: (performance.memory.jsHeapSizeLimit / 1024 / 1024).toFixed(2) + 'MB'
       };
-      console.log('💾 [Memory Usage]:', memory);
+      appLogger.info('💾 [Memory Usage]:', memory);
       return memory;
     } else {
-      console.warn('⚠️ Memory measurement not available in this environment');
+      appLogger.warn('⚠️ Memory measurement not available in this environment');
       return null;
     }
   },
   
   table: (data, label = 'Performance Data') => {
-    console.group(`📊 ${label}`);
-    console.table(data);
-    console.groupEnd();
-  }
+    appLogger.table(data, `📊 ${label}`);
+  },
+
+  // Pipeline configuration: levels, silent mode, JSON output and custom sinks
+  configure: configureLogger,
+  addSink: addLogSink
 };
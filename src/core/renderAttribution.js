@@ -0,0 +1,87 @@
+// Re-render attribution ("why did this render")
+// Compares props, hook state and context values between renders and classifies each change
+
+// Structural equality with a depth limit. Functions are compared by reference only: an inline
+// callback with the same source may close over changed values.
+export const isValueEqual = (a, b, depth = 3, seen = new WeakMap()) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== typeof b) return false;
+  if (!a || !b || typeof a !== 'object') return false;
+  if (depth === 0) return false;
+
+  // React elements carry an owner (a fiber) - compare them by type, key and props only
+  if (a.$$typeof && b.$$typeof) {
+    return a.$$typeof === b.$$typeof &&
+      a.type === b.type &&
+      a.key === b.key &&
+      isValueEqual(a.props, b.props, depth - 1, seen);
+  }
+
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof Map || a instanceof Set || b instanceof Map || b instanceof Set) {
+    return isValueEqual(Array.from(a.entries ? a.entries() : a), Array.from(b.entries ? b.entries() : b), depth - 1, seen);
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => (
+    Object.prototype.hasOwnProperty.call(b, key) && isValueEqual(a[key], b[key], depth - 1, seen)
+  ));
+};
+
+// List the entries that changed between two value maps.
+// kind: 'value' (real change), 'reference' (new identity, equal value), 'added' or 'removed'
+export const diffValues = (previous = {}, next = {}) => {
+  const changes = [];
+  const names = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+
+  names.forEach(name => {
+    const hadValue = previous && Object.prototype.hasOwnProperty.call(previous, name);
+    const hasValue = next && Object.prototype.hasOwnProperty.call(next, name);
+
+    if (!hadValue) {
+      changes.push({ name, kind: 'added' });
+    } else if (!hasValue) {
+      changes.push({ name, kind: 'removed' });
+    } else if (!Object.is(previous[name], next[name])) {
+      changes.push({
+        name,
+        kind: isValueEqual(previous[name], next[name]) ? 'reference' : 'value',
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Attribute one re-render. `sources` maps a source ('props', 'state', 'context') to
+// [previousValues, nextValues]. A render without any value change is a wasted render.
+export const attributeRender = (sources) => {
+  const changes = {};
+  const triggers = [];
+
+  Object.entries(sources).forEach(([source, [previous, next]]) => {
+    changes[source] = diffValues(previous, next);
+    if (changes[source].length > 0) {
+      triggers.push(source);
+    }
+  });
+
+  const valueChanged = Object.values(changes).some(sourceChanges => (
+    sourceChanges.some(change => change.kind !== 'reference')
+  ));
+
+  return {
+    // No changed inputs at all means the parent re-rendered an unmemoized component
+    cause: triggers.length > 0 ? triggers[0] : 'parent',
+    triggers,
+    changes,
+    wasted: !valueChanged,
+  };
+};
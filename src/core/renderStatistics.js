@@ -0,0 +1,39 @@
+// Render sample statistics
+// Summarizes a component's bounded render history into distribution statistics
+
+// Percentile of an ascending-sorted array using linear interpolation
+export const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return 0;
+  if (sortedValues.length === 1) return sortedValues[0];
+
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const weight = rank - lower;
+
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+};
+
+// Compute count, mean, min, max, stddev and p50/p75/p95/p99 for a list of durations
+export const computeRenderStatistics = (durations) => {
+  if (!durations || durations.length === 0) return null;
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const count = sorted.length;
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const mean = total / count;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+
+  return {
+    count,
+    total,
+    mean,
+    min: sorted[0],
+    max: sorted[count - 1],
+    stddev: Math.sqrt(variance),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+  };
+};
@@ -0,0 +1,208 @@
+// Resource analysis
+// Classifies Resource Timing entries (scripts, stylesheets, fonts, images and other assets) and
+// reports encoded vs decoded size, compression, cache status, render-blocking status and first-
+// vs third-party origin, with totals per category. fetch/XHR requests are data, not assets -
+// they are left to ./networkInstrumentation.js.
+
+import { observeEntries, getPerformanceObserver } from './observerUtils.js';
+
+export const RESOURCE_CATEGORIES = ['script', 'stylesheet', 'font', 'image', 'other'];
+
+const EXTENSION_CATEGORIES = {
+  js: 'script',
+  mjs: 'script',
+  css: 'stylesheet',
+  woff: 'font',
+  woff2: 'font',
+  ttf: 'font',
+  otf: 'font',
+  eot: 'font',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  gif: 'image',
+  webp: 'image',
+  avif: 'image',
+  svg: 'image',
+  ico: 'image',
+};
+
+// Initiators that identify the category; 'link' and 'css' (url() in a stylesheet) load anything
+const INITIATOR_CATEGORIES = {
+  script: 'script',
+  img: 'image',
+  image: 'image',
+};
+
+const DATA_INITIATORS = ['fetch', 'xmlhttprequest', 'beacon'];
+
+export const isDataRequest = (entry) => DATA_INITIATORS.includes(entry.initiatorType);
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getResourceCategory = (entry) => {
+  const url = parseUrl(entry.name);
+  const extension = url ? url.pathname.split('.').pop().toLowerCase() : '';
+
+  return EXTENSION_CATEGORIES[extension] || INITIATOR_CATEGORIES[entry.initiatorType] || 'other';
+};
+
+// Site of a host name: its last two labels (cdn.example.com -> example.com). Does not know about
+// public suffixes such as co.uk - pass `firstPartyOrigins` for those.
+const getSite = (hostname) => {
+  if (/^[\d.]+$/.test(hostname) || !hostname.includes('.')) return hostname;
+  return hostname.split('.').slice(-2).join('.');
+};
+
+// Third-party: served from another site than the page and not listed in `firstPartyOrigins`
+export const isThirdParty = (url, origin, firstPartyOrigins = []) => {
+  const resource = parseUrl(url);
+  const page = parseUrl(origin);
+  if (!resource || !page) return false;
+  if (firstPartyOrigins.includes(resource.origin)) return false;
+
+  return getSite(resource.hostname) !== getSite(page.hostname);
+};
+
+// 'cache' (memory or disk), 'revalidated' (304 - only headers transferred), 'network', or
+// 'unknown' when a cross-origin server hides sizes (no Timing-Allow-Origin header)
+export const getCacheStatus = (entry) => {
+  if (entry.deliveryType === 'cache') return 'cache';
+  if (entry.transferSize === undefined) return 'unknown';
+  if (entry.transferSize === 0) return entry.decodedBodySize > 0 ? 'cache' : 'unknown';
+  if (entry.encodedBodySize > 0 && entry.transferSize < entry.encodedBodySize) return 'revalidated';
+  return 'network';
+};
+
+// Analyze one resource entry. Options: { origin, firstPartyOrigins }
+export const analyzeResource = (entry, { origin, firstPartyOrigins } = {}) => {
+  const url = parseUrl(entry.name);
+  const encodedSize = entry.encodedBodySize || 0;
+  const decodedSize = entry.decodedBodySize || 0;
+
+  return {
+    url: entry.name,
+    name: url ? url.pathname.split('/').pop() || url.hostname : entry.name,
+    category: getResourceCategory(entry),
+    initiatorType: entry.initiatorType,
+    transferSize: entry.transferSize || 0,
+    encodedSize,
+    decodedSize,
+    compressionRatio: encodedSize > 0 ? decodedSize / encodedSize : null,
+    cacheStatus: getCacheStatus(entry),
+    // Only reported by browsers supporting renderBlockingStatus, otherwise null
+    renderBlocking: entry.renderBlockingStatus ? entry.renderBlockingStatus === 'blocking' : null,
+    thirdParty: isThirdParty(entry.name, origin, firstPartyOrigins),
+    startTime: entry.startTime,
+    loadTime: entry.duration,
+  };
+};
+
+const createCategoryTotals = () => ({
+  count: 0,
+  transferSize: 0,
+  encodedSize: 0,
+  decodedSize: 0,
+  cached: 0,
+  renderBlocking: 0,
+  thirdParty: { count: 0, encodedSize: 0 },
+});
+
+const addToTotals = (totals, resource) => {
+  totals.count++;
+  totals.transferSize += resource.transferSize;
+  totals.encodedSize += resource.encodedSize;
+  totals.decodedSize += resource.decodedSize;
+  if (resource.cacheStatus === 'cache') {
+    totals.cached++;
+  }
+  if (resource.renderBlocking) {
+    totals.renderBlocking++;
+  }
+  if (resource.thirdParty) {
+    totals.thirdParty.count++;
+    totals.thirdParty.encodedSize += resource.encodedSize;
+  }
+};
+
+const finalizeTotals = (totals) => ({
+  ...totals,
+  compressionRatio: totals.encodedSize > 0 ? totals.decodedSize / totals.encodedSize : null,
+});
+
+// Totals per category and overall for analyzed resources, largest resources first.
+// totalSize is the encoded (compressed) size of all assets, whether or not they were cached.
+export const summarizeResources = (resources) => {
+  const categories = Object.fromEntries(RESOURCE_CATEGORIES.map(category => [category, createCategoryTotals()]));
+  const total = createCategoryTotals();
+
+  resources.forEach(resource => {
+    addToTotals(categories[resource.category], resource);
+    addToTotals(total, resource);
+  });
+
+  const overall = finalizeTotals(total);
+
+  return {
+    count: overall.count,
+    totalSize: overall.encodedSize,
+    totalTransferSize: overall.transferSize,
+    totalDecodedSize: overall.decodedSize,
+    compressionRatio: overall.compressionRatio,
+    thirdParty: overall.thirdParty,
+    categories: Object.fromEntries(
+      Object.entries(categories).map(([category, totals]) => [category, finalizeTotals(totals)])
+    ),
+    renderBlocking: resources.filter(resource => resource.renderBlocking).map(resource => resource.url),
+    resources: [...resources].sort((a, b) => b.encodedSize - a.encodedSize),
+  };
+};
+
+// Analyze a list of resource entries, e.g. performance.getEntriesByType('resource')
+export const analyzeResources = (entries, options = {}) => summarizeResources(
+  entries
+    .filter(entry => !isDataRequest(entry))
+    .map(entry => analyzeResource(entry, options))
+);
+
+// Create a collector reporting every loaded asset to `monitor.recordResource`, including the
+// ones loaded before start (buffered entries).
+// Options: { monitor, origin, firstPartyOrigins, PerformanceObserver }
+export const createResourceCollector = ({
+  monitor,
+  origin = typeof location !== 'undefined' ? location.origin : undefined,
+  firstPartyOrigins = [],
+  PerformanceObserver: PerformanceObserverImpl = getPerformanceObserver(),
+} = {}) => {
+  let observer = null;
+
+  const handleEntries = (entries) => {
+    entries
+      .filter(entry => !isDataRequest(entry))
+      .forEach(entry => monitor.recordResource(analyzeResource(entry, { origin, firstPartyOrigins })));
+  };
+
+  const start = () => {
+    if (observer) return;
+    observer = observeEntries('resource', handleEntries, {}, PerformanceObserverImpl);
+  };
+
+  const stop = () => {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(PerformanceObserverImpl),
+  };
+};
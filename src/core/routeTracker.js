@@ -0,0 +1,69 @@
+// SPA route tracking via the History API
+// Reports URL changes to `monitor.startNavigation`, which segments metrics by route and times
+// each navigation until its renders settle. Apps using react-router can report route patterns
+// with the useRouteTracking hook instead (see ./performanceMonitoring.js).
+
+// Route name of a location: the path without query string or hash
+export const getPathname = (location) => location.pathname;
+
+// Create a tracker that patches history.pushState/replaceState and listens to popstate/hashchange.
+// Options: { monitor, window, getRouteName(location) } - pass getRouteName to group paths,
+// e.g. location => location.pathname.replace(/\/\d+/g, '/:id').
+export const createRouteTracker = ({
+  monitor,
+  window: win = typeof window !== 'undefined' ? window : null,
+  getRouteName = getPathname,
+} = {}) => {
+  let cleanups = [];
+
+  const navigate = (type) => {
+    monitor.startNavigation(getRouteName(win.location), { type });
+  };
+
+  // Wrap a history method; restored on stop unless someone wrapped it after us
+  const patchHistory = (method, type) => {
+    const original = win.history[method];
+    const patched = function (...args) {
+      const result = original.apply(this, args);
+      navigate(type);
+      return result;
+    };
+
+    win.history[method] = patched;
+    cleanups.push(() => {
+      if (win.history[method] === patched) {
+        win.history[method] = original;
+      }
+    });
+  };
+
+  const listen = (event, type) => {
+    const handler = () => navigate(type);
+    win.addEventListener(event, handler);
+    cleanups.push(() => win.removeEventListener(event, handler));
+  };
+
+  const start = () => {
+    if (!win || !win.history || cleanups.length > 0) return;
+
+    patchHistory('pushState', 'push');
+    patchHistory('replaceState', 'replace');
+    listen('popstate', 'pop');
+    listen('hashchange', 'pop');
+
+    // The initial route is timed from navigation start
+    monitor.startNavigation(getRouteName(win.location), { type: 'load', startTime: 0 });
+  };
+
+  const stop = () => {
+    cleanups.forEach(cleanup => cleanup());
+    cleanups = [];
+    monitor.settleNavigation();
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(win && win.history),
+  };
+};
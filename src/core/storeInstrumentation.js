@@ -0,0 +1,197 @@
+// State management instrumentation
+// Times store updates (actions), counts subscriber notifications and correlates each update with
+// the component renders it triggers, reporting to `monitor.recordStoreAction`.
+//
+// Stores are plugged in through adapters:
+//   { name, matches(store), instrument(store, recorder) => uninstall }
+// where the recorder provides
+//   recordUpdate(type, update)  runs update() synchronously and times it as one action
+//   beginUpdate(type)/endUpdate(action)  for stores whose updates cannot be wrapped
+//   wrapListener(listener)      returns a listener that counts and times notifications
+
+// Name of a Redux action; thunks are named after their function
+const getActionType = (action) => {
+  if (action && action.type !== undefined) return String(action.type);
+  if (typeof action === 'function') return action.name || 'thunk';
+  return 'unknown';
+};
+
+// Name a state change after its changed top-level keys, e.g. "set cart, total"
+const describeStateChange = (previous, next) => {
+  if (!previous || !next || typeof previous !== 'object' || typeof next !== 'object') {
+    return 'setState';
+  }
+
+  const changed = Object.keys(next).filter(key => !Object.is(previous[key], next[key]));
+  if (changed.length === 0) return 'setState';
+
+  const more = changed.length > 3 ? ` +${changed.length - 3}` : '';
+  return `set ${changed.slice(0, 3).join(', ')}${more}`;
+};
+
+// Redux-style stores: dispatch/subscribe/getState. Reducer time is the time from dispatch to the
+// first notified subscriber. Only subscribers added after instrumentation are counted, and only
+// actions passed to store.dispatch are seen (not dispatches from inside middleware).
+export const reduxStoreAdapter = {
+  name: 'redux',
+  matches: (store) => (
+    typeof store.dispatch === 'function' &&
+    typeof store.subscribe === 'function' &&
+    typeof store.getState === 'function'
+  ),
+  instrument: (store, { recordUpdate, wrapListener }) => {
+    const { dispatch, subscribe } = store;
+
+    store.dispatch = (action) => recordUpdate(getActionType(action), () => dispatch(action));
+    store.subscribe = (listener) => subscribe(wrapListener(listener));
+
+    return () => {
+      store.dispatch = dispatch;
+      store.subscribe = subscribe;
+    };
+  },
+};
+
+// Zustand-style stores: subscribe/getState only. State set inside the store cannot be wrapped, so
+// updates are observed through a subscription registered before any other listener; they are
+// named after the changed keys and timed by their subscriber notifications.
+export const subscribeStoreAdapter = {
+  name: 'subscribe',
+  matches: (store) => typeof store.subscribe === 'function' && typeof store.getState === 'function',
+  instrument: (store, { beginUpdate, endUpdate, wrapListener }) => {
+    const { subscribe } = store;
+    let previousState = store.getState();
+
+    const unsubscribeProbe = subscribe((state) => {
+      const action = beginUpdate(describeStateChange(previousState, state), { timed: false });
+      previousState = state;
+      // Subscribers are notified synchronously after this probe
+      Promise.resolve().then(() => endUpdate(action));
+    });
+    store.subscribe = (listener) => subscribe(wrapListener(listener));
+
+    return () => {
+      unsubscribeProbe();
+      store.subscribe = subscribe;
+    };
+  },
+};
+
+// Adapters tried in order when none is given
+export const STORE_ADAPTERS = [reduxStoreAdapter, subscribeStoreAdapter];
+
+// Install instrumentation on `store`; returns an uninstall function.
+// Options: { monitor, adapter, name, requestAnimationFrame }
+export const instrumentStore = (store, {
+  monitor,
+  adapter = STORE_ADAPTERS.find(candidate => candidate.matches(store)),
+  name = adapter ? adapter.name : 'store',
+  requestAnimationFrame: raf = typeof requestAnimationFrame !== 'undefined' ? requestAnimationFrame : null,
+} = {}) => {
+  if (!store || !adapter) return () => {};
+
+  // Updates currently notifying subscribers, and updates waiting for the renders they trigger
+  let updating = [];
+  let awaitingRenders = [];
+  let installed = true;
+
+  const finish = (action) => {
+    awaitingRenders = awaitingRenders.filter(candidate => candidate !== action);
+    if (!installed) return;
+
+    monitor.recordStoreAction({
+      store: name,
+      type: action.type,
+      duration: action.duration,
+      reducerTime: action.reducerTime,
+      notifications: action.notifications,
+      listenerTime: action.listenerTime,
+      components: action.components,
+      timestamp: action.timestamp,
+    });
+  };
+
+  const beginUpdate = (type, { timed = true } = {}) => {
+    const action = {
+      type,
+      timed,
+      startTime: performance.now(),
+      firstNotification: null,
+      notifications: 0,
+      listenerTime: 0,
+      components: {},
+      timestamp: Date.now(),
+    };
+    updating.push(action);
+    awaitingRenders.push(action);
+    return action;
+  };
+
+  const endUpdate = (action) => {
+    updating = updating.filter(candidate => candidate !== action);
+
+    if (action.timed) {
+      action.duration = performance.now() - action.startTime;
+      action.reducerTime = (action.firstNotification ?? performance.now()) - action.startTime;
+    } else {
+      action.duration = action.listenerTime;
+      action.reducerTime = null;
+    }
+
+    // Renders caused by the update are committed by the next paint
+    const afterPaint = () => setTimeout(() => finish(action), 0);
+    if (raf) {
+      raf(afterPaint);
+    } else {
+      setTimeout(afterPaint, 16);
+    }
+  };
+
+  const recordUpdate = (type, update) => {
+    const action = beginUpdate(type);
+    try {
+      return update();
+    } finally {
+      endUpdate(action);
+    }
+  };
+
+  const wrapListener = (listener) => function (...args) {
+    const action = updating[updating.length - 1];
+    const startTime = performance.now();
+    if (action) {
+      action.notifications++;
+      if (action.firstNotification === null) {
+        action.firstNotification = startTime;
+      }
+    }
+
+    try {
+      return listener.apply(this, args);
+    } finally {
+      if (action) {
+        action.listenerTime += performance.now() - startTime;
+      }
+    }
+  };
+
+  // React batches updates made in the same tick - their renders are attributed to each of them
+  const unsubscribeRender = monitor.on('render', ({ componentName, sample }) => {
+    awaitingRenders.forEach(action => {
+      const component = action.components[componentName] || { renders: 0, renderTime: 0 };
+      component.renders++;
+      component.renderTime += sample.renderTime;
+      action.components[componentName] = component;
+    });
+  });
+
+  const uninstall = adapter.instrument(store, { recordUpdate, beginUpdate, endUpdate, wrapListener });
+
+  return () => {
+    installed = false;
+    unsubscribeRender();
+    uninstall();
+    updating = [];
+    awaitingRenders = [];
+  };
+};
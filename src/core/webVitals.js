@@ -0,0 +1,165 @@
+// Core Web Vitals collection via PerformanceObserver
+// Records LCP, CLS, INP, FCP and TTFB with attribution data into a PerformanceMonitor
+
+import { observeEntries, describeElement, getPerformanceObserver } from './observerUtils.js';
+
+// Rating thresholds [good, poor] from web.dev - values above `poor` are rated poor
+export const WEB_VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+};
+
+export const rateWebVital = (name, value) => {
+  const [good, poor] = WEB_VITAL_THRESHOLDS[name] || [Infinity, Infinity];
+  if (value <= good) return 'good';
+  if (value <= poor) return 'needs-improvement';
+  return 'poor';
+};
+
+// Create a collector that feeds vitals into `monitor.recordWebVital`.
+// Options: { monitor, PerformanceObserver } - the observer can be replaced by a fake in tests.
+export const createWebVitalsCollector = ({ monitor, PerformanceObserver: PerformanceObserverImpl = getPerformanceObserver() } = {}) => {
+  let observers = [];
+
+  // CLS session windows: shifts less than 1s apart, at most 5s long
+  let clsSessionValue = 0;
+  let clsSessionEntries = [];
+  let clsValue = 0;
+
+  // INP: longest event duration per interaction
+  const interactions = new Map();
+
+  const observe = (type, callback, options) => {
+    const observer = observeEntries(type, callback, options, PerformanceObserverImpl);
+    if (observer) {
+      observers.push(observer);
+    }
+  };
+
+  const handlePaint = (entries) => {
+    entries
+      .filter(entry => entry.name === 'first-contentful-paint')
+      .forEach(entry => {
+        monitor.recordWebVital('FCP', entry.startTime, {
+          attribution: { entryName: entry.name },
+        });
+      });
+  };
+
+  const handleLargestContentfulPaint = (entries) => {
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+
+    monitor.recordWebVital('LCP', entry.startTime, {
+      attribution: {
+        element: describeElement(entry.element),
+        url: entry.url || null,
+        size: entry.size,
+        renderTime: entry.renderTime,
+        loadTime: entry.loadTime,
+      },
+    });
+  };
+
+  const handleLayoutShift = (entries) => {
+    entries
+      .filter(entry => !entry.hadRecentInput)
+      .forEach(entry => {
+        const first = clsSessionEntries[0];
+        const last = clsSessionEntries[clsSessionEntries.length - 1];
+
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+          clsSessionValue += entry.value;
+          clsSessionEntries.push(entry);
+        } else {
+          clsSessionValue = entry.value;
+          clsSessionEntries = [entry];
+        }
+
+        if (clsSessionValue > clsValue) {
+          clsValue = clsSessionValue;
+          const largestShift = clsSessionEntries.reduce((largest, shift) => (
+            shift.value > largest.value ? shift : largest
+          ));
+          const source = (largestShift.sources || [])[0];
+
+          monitor.recordWebVital('CLS', clsValue, {
+            attribution: {
+              largestShiftTarget: source ? describeElement(source.node) : null,
+              largestShiftValue: largestShift.value,
+              largestShiftTime: largestShift.startTime,
+              shiftCount: clsSessionEntries.length,
+            },
+          });
+        }
+      });
+  };
+
+  const handleEvent = (entries) => {
+    entries
+      .filter(entry => entry.interactionId)
+      .forEach(entry => {
+        const existing = interactions.get(entry.interactionId);
+        if (!existing || entry.duration > existing.duration) {
+          interactions.set(entry.interactionId, entry);
+        }
+      });
+
+    if (interactions.size === 0) return;
+
+    // INP ignores one outlier per 50 interactions (approximates the 98th percentile)
+    const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+    const entry = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+
+    monitor.recordWebVital('INP', entry.duration, {
+      attribution: {
+        eventType: entry.name,
+        target: describeElement(entry.target),
+        inputDelay: entry.processingStart - entry.startTime,
+        processingDuration: entry.processingEnd - entry.processingStart,
+        presentationDelay: entry.startTime + entry.duration - entry.processingEnd,
+        interactionCount: interactions.size,
+      },
+    });
+  };
+
+  const handleNavigation = (entries) => {
+    const entry = entries[0];
+    if (!entry) return;
+
+    const activationStart = entry.activationStart || 0;
+    monitor.recordWebVital('TTFB', Math.max(entry.responseStart - activationStart, 0), {
+      attribution: {
+        waitingDuration: Math.max(entry.domainLookupStart - activationStart, 0),
+        dnsDuration: entry.domainLookupEnd - entry.domainLookupStart,
+        connectionDuration: entry.connectEnd - entry.connectStart,
+        requestDuration: entry.responseStart - entry.requestStart,
+      },
+    });
+  };
+
+  const start = () => {
+    if (observers.length > 0) return;
+
+    observe('paint', handlePaint);
+    observe('largest-contentful-paint', handleLargestContentfulPaint);
+    observe('layout-shift', handleLayoutShift);
+    observe('event', handleEvent, { durationThreshold: 40 });
+    observe('first-input', handleEvent);
+    observe('navigation', handleNavigation);
+  };
+
+  const stop = () => {
+    observers.forEach(observer => observer.disconnect());
+    observers = [];
+  };
+
+  return {
+    start,
+    stop,
+    isSupported: Boolean(PerformanceObserverImpl),
+  };
+};
@@ -0,0 +1,31 @@
+// Window global installation helpers
+// Library modules never touch window at import time - they install globals through here
+// and hand back an uninstall function
+
+// Install each entry of `globals` on window; returns a function that restores the previous
+// values (or removes the globals when there were none). Only values that are still ours are
+// restored, so a newer install is never clobbered.
+export const installWindowGlobals = (globals) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const previous = Object.keys(globals)
+    .filter(name => Object.prototype.hasOwnProperty.call(window, name))
+    .map(name => [name, window[name]]);
+  const previousValues = new Map(previous);
+
+  Object.entries(globals).forEach(([name, value]) => {
+    window[name] = value;
+  });
+
+  return () => {
+    Object.entries(globals).forEach(([name, value]) => {
+      if (window[name] !== value) return;
+
+      if (previousValues.has(name)) {
+        window[name] = previousValues.get(name);
+      } else {
+        delete window[name];
+      }
+    });
+  };
+};
@@ -22,7 +22,9 @@ export {
   initializePerformanceMonitoring,
   performanceLogger,
   PerformanceContext,
-  PerformanceProvider
+  PerformanceProvider,
+  PerformanceProfiler,
+  PERFORMANCE_EVENTS
 } from './core/performanceMonitoring.js';
 
 export { 
@@ -0,0 +1,17 @@
+import PerformanceTestSuite from '../performanceTestSuite.js';
+import { performanceMonitor } from '../../core/performanceMonitoring.js';
+import { configureLogger } from '../../core/logger.js';
+
+describe('PerformanceTestSuite', () => {
+  beforeAll(() => {
+    configureLogger({ silent: true });
+  });
+
+  it('keeps synthetic render samples out of the global monitor', async () => {
+    const result = await PerformanceTestSuite.testComponentRender('TestComponent', 3);
+
+    expect(result.renderTimes).toHaveLength(3);
+    expect(performanceMonitor.metrics.renderHistory.has('TestComponent')).toBe(false);
+    expect(performanceMonitor.getCommits()).toHaveLength(0);
+  });
+});
@@ -1,6 +1,7 @@
 // Testing Utilities Exports
 export {
-  PerformanceTestSuite
+  PerformanceTestSuite,
+  installPerformanceTestSuite
 } from './performanceTestSuite.js';
 
 export { default as performanceTestSuite } from './performanceTestSuite.js';
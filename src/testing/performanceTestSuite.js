@@ -3,21 +3,27 @@
  * Run this in the browser console to test performance improvements
  */
 
+import { PerformanceMonitor } from '../core/performanceMonitoring.js';
+import { createLogger } from '../core/logger.js';
+import { installWindowGlobals } from '../core/windowGlobals.js';
+
+const logger = createLogger('testSuite');
+
 // Performance testing utilities
 const PerformanceTestSuite = {
   // Test component render performance
   testComponentRender: async (componentName, iterations = 50) => {
-    console.log(`🧪 Testing ${componentName} render performance...`);
+    logger.info(`🧪 Testing ${componentName} render performance...`);
     
     const renderTimes = [];
+    // Scratch monitor: synthetic samples must not end up in the app's metrics and reports
+    const monitor = new PerformanceMonitor();
     
     for (let i = 0; i < iterations; i++) {
       const startTime = performance.now();
       
       // Trigger a component re-render (simulate state change)
-      if (window.performanceMonitor) {
-        window.performanceMonitor.recordRender(componentName, 1);
-      }
+      monitor.recordRender(componentName, 1);
       
       const endTime = performance.now();
       renderTimes.push(endTime - startTime);
@@ -39,13 +45,13 @@ const PerformanceTestSuite = {
       renderTimes,
     };
     
-    console.log(`✅ ${componentName} Performance Test Results:`, result);
+    logger.info(`✅ ${componentName} Performance Test Results:`, result);
     return result;
   },
 
   // Test memory usage during operations
   testMemoryUsage: async (operationName, operation, iterations = 20) => {
-    console.log(`🧠 Testing ${operationName} memory usage...`);
+    logger.info(`🧠 Testing ${operationName} memory usage...`);
     
     const memorySnapshots = [];
     
@@ -85,13 +91,13 @@ const PerformanceTestSuite = {
       memorySnapshots,
     };
     
-    console.log(`✅ ${operationName} Memory Test Results:`, result);
+    logger.info(`✅ ${operationName} Memory Test Results:`, result);
     return result;
   },
 
   // Test data processing performance
   testDataProcessing: (processingFunction, testData, iterations = 100) => {
-    console.log(`⚡ Testing data processing performance...`);
+    logger.info(`⚡ Testing data processing performance...`);
     
     const processingTimes = [];
     
@@ -117,13 +123,13 @@ const PerformanceTestSuite = {
       processingTimes,
     };
     
-    console.log(`✅ Data Processing Test Results:`, result);
+    logger.info(`✅ Data Processing Test Results:`, result);
     return result;
   },
 
   // Run comprehensive performance test suite
   runFullSuite: async () => {
-    console.log('🚀 Starting Full Performance Test Suite...');
+    logger.info('🚀 Starting Full Performance Test Suite...');
     
     const results = {
       timestamp: new Date().toISOString(),
@@ -136,7 +142,7 @@ const PerformanceTestSuite = {
       const renderTest = await PerformanceTestSuite.testComponentRender('TestComponent', 30);
       results.tests.push({ type: 'componentRender', ...renderTest });
     } catch (error) {
-      console.error('❌ Component render test failed:', error);
+      logger.error('❌ Component render test failed:', error);
     }
     
     // Test 2: Memory usage test
@@ -152,7 +158,7 @@ const PerformanceTestSuite = {
       );
       results.tests.push({ type: 'memoryUsage', ...memoryTest });
     } catch (error) {
-      console.error('❌ Memory usage test failed:', error);
+      logger.error('❌ Memory usage test failed:', error);
     }
     
     // Test 3: Data processing performance
@@ -165,7 +171,7 @@ const PerformanceTestSuite = {
       );
       results.tests.push({ type: 'dataProcessing', ...processingTest });
     } catch (error) {
-      console.error('❌ Data processing test failed:', error);
+      logger.error('❌ Data processing test failed:', error);
     }
     
     // Generate summary
@@ -178,8 +184,8 @@ const PerformanceTestSuite = {
     
     results.summary = summary;
     
-    console.log('🎉 Full Performance Test Suite Complete!');
-    console.log('📊 Summary:', summary);
+    logger.info('🎉 Full Performance Test Suite Complete!');
+    logger.info('📊 Summary:', summary);
     
     return results;
   },
@@ -194,17 +200,12 @@ const PerformanceTestSuite = {
     a.click();
     URL.revokeObjectURL(url);
     
-    console.log('📥 Test results exported');
+    logger.info('📥 Test results exported');
   },
 };
 
-// Make available globally for easy testing
-if (typeof window !== 'undefined') {
-  window.PerformanceTestSuite = PerformanceTestSuite;
-}
-
-// Example usage instructions
-console.log(`
+// Usage instructions printed by installPerformanceTestSuite
+const USAGE_INSTRUCTIONS = `
 🧪 Performance Testing Suite Available!
 
 Usage Examples:
@@ -232,7 +233,18 @@ PerformanceTestSuite.runFullSuite().then(results => {
   console.log('Test Results:', results);
   PerformanceTestSuite.exportResults(results);
 });
-`);
+`;
+
+// Make available globally for easy testing; returns an uninstall function
+export const installPerformanceTestSuite = ({ showUsage = true } = {}) => {
+  const uninstall = installWindowGlobals({ PerformanceTestSuite });
+
+  if (showUsage) {
+    logger.info(USAGE_INSTRUCTIONS);
+  }
+
+  return uninstall;
+};
 
 export default PerformanceTestSuite;
 export { PerformanceTestSuite };
@@ -0,0 +1,43 @@
+import performanceAnalysis, { installConsoleTools, analyzeComponent, endProfilingSession } from '../performanceAnalysisExamples.js';
+import { configureLogger } from '../../core/logger.js';
+
+describe('performanceAnalysis console tools', () => {
+  beforeAll(() => {
+    configureLogger({ silent: true });
+  });
+
+  beforeEach(() => {
+    global.window = {};
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  it('exposes installConsoleTools on the default export', () => {
+    expect(performanceAnalysis.installConsoleTools).toBe(installConsoleTools);
+  });
+
+  it('installs and removes the console globals', () => {
+    const uninstall = performanceAnalysis.installConsoleTools({ showUsage: false });
+    expect(window.performanceAnalysis).toBe(performanceAnalysis);
+
+    uninstall();
+    expect('performanceAnalysis' in window).toBe(false);
+  });
+
+  it('reports failures at warn level, above the info output', () => {
+    const entries = [];
+    configureLogger({ level: 'warn', sinks: [entry => entries.push(entry)] });
+
+    analyzeComponent('Missing');
+    endProfilingSession();
+
+    const analysisEntries = entries.filter(entry => entry.scope === 'analysis');
+    expect(analysisEntries.map(entry => [entry.level, entry.message])).toEqual([
+      ['warn', '❌ Component "Missing" not found in metrics'],
+      ['warn', 'Available components:'],
+      ['warn', '❌ No active profiling session found'],
+    ]);
+  });
+});
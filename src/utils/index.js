@@ -13,7 +13,8 @@ export {
   startProfilingSession,
   takeSnapshot,
   endProfilingSession,
-  runPerformanceDiagnostics
+  runPerformanceDiagnostics,
+  installConsoleTools
 } from './performanceAnalysisExamples.js';
 
 export { default as performanceAnalysis } from './performanceAnalysisExamples.js';
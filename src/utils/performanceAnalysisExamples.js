@@ -1,26 +1,29 @@
 // Example: How to Use Performance Analysis Tools
 // Copy and paste these examples into your browser console
 
+import { performanceMonitor } from '../core/performanceMonitoring.js';
+import performanceComparator, { installComparatorGlobals } from '../core/performanceComparator.js';
+import PerformanceTestSuite, { installPerformanceTestSuite } from '../testing/performanceTestSuite.js';
+import { createLogger } from '../core/logger.js';
+import { installWindowGlobals } from '../core/windowGlobals.js';
+
+const logger = createLogger('analysis');
+
 // ========================================
 // 1. QUICK PERFORMANCE CHECK
 // ========================================
 
 // Get current performance overview
 const quickCheck = () => {
-  if (!window.performanceMonitor) {
-    console.log('⚠️ Performance monitoring not available. Make sure you\'re in development mode.');
-    return;
-  }
-
-  const data = window.performanceMonitor.getPerformanceData();
+  const data = performanceMonitor.getPerformanceData();
   
-  console.log('📊 PERFORMANCE OVERVIEW');
-  console.log('========================');
-  console.log('Render Times (avg):', data.renderTimes.length > 0 ? 
+  logger.info('📊 PERFORMANCE OVERVIEW');
+  logger.info('========================');
+  logger.info('Render Times (avg):', data.renderTimes.length > 0 ? 
     (data.renderTimes.reduce((sum, time) => sum + time, 0) / data.renderTimes.length).toFixed(2) + 'ms' : 'No data');
-  console.log('Memory Usage:', data.memoryUsage.length > 0 ? 
+  logger.info('Memory Usage:', data.memoryUsage.length > 0 ? 
     (data.memoryUsage[data.memoryUsage.length - 1] / 1024 / 1024).toFixed(2) + 'MB' : 'No data');
-  console.log('Components monitored:', Object.keys(data.componentMetrics).length);
+  logger.info('Components monitored:', Object.keys(data.componentMetrics).length);
   
   return data;
 };
@@ -31,27 +34,29 @@ const quickCheck = () => {
 
 // Analyze specific component performance
 const analyzeComponent = (componentName) => {
-  const data = window.performanceMonitor.getPerformanceData();
+  const data = performanceMonitor.getPerformanceData();
   const component = data.componentMetrics[componentName];
   
   if (!component) {
-    console.log(`❌ Component "${componentName}" not found in metrics`);
-    console.log('Available components:', Object.keys(data.componentMetrics));
+    logger.warn(`❌ Component "${componentName}" not found in metrics`);
+    logger.warn('Available components:', Object.keys(data.componentMetrics));
     return;
   }
   
-  console.log(`📈 COMPONENT ANALYSIS: ${componentName}`);
-  console.log('=======================================');
-  console.log('Render Count:', component.renderCount);
-  console.log('Average Render Time:', component.averageRenderTime.toFixed(2) + 'ms');
-  console.log('Max Render Time:', component.maxRenderTime.toFixed(2) + 'ms');
-  console.log('Performance Status:', component.averageRenderTime > 16 ? '🐌 Slow' : '⚡ Fast');
-  
-  if (component.averageRenderTime > 16) {
-    console.log('💡 Recommendations:');
-    console.log('  - Add React.memo() to prevent unnecessary re-renders');
-    console.log('  - Use useCallback for event handlers');
-    console.log('  - Consider memoizing expensive calculations');
+  logger.info(`📈 COMPONENT ANALYSIS: ${componentName}`);
+  logger.info('=======================================');
+  logger.info('Render Count:', component.renderCount);
+  logger.info('Average Render Time:', component.averageRenderTime.toFixed(2) + 'ms');
+  logger.info('Percentiles:', `p50 ${component.p50.toFixed(2)}ms, p75 ${component.p75.toFixed(2)}ms, p95 ${component.p95.toFixed(2)}ms, p99 ${component.p99.toFixed(2)}ms`);
+  logger.info('Min / Max Render Time:', component.minRenderTime.toFixed(2) + 'ms / ' + component.maxRenderTime.toFixed(2) + 'ms');
+  logger.info('Std Deviation:', component.stddev.toFixed(2) + 'ms');
+  logger.info('Performance Status:', component.p95 > 16 ? '🐌 Slow' : '⚡ Fast');
+  
+  if (component.p95 > 16) {
+    logger.warn('💡 Recommendations:');
+    logger.warn('  - Add React.memo() to prevent unnecessary re-renders');
+    logger.warn('  - Use useCallback for event handlers');
+    logger.warn('  - Consider memoizing expensive calculations');
   }
   
   return component;
@@ -63,34 +68,34 @@ const analyzeComponent = (componentName) => {
 
 // Example: Compare Analysis component performance
 const compareAnalysisComponent = () => {
-  console.log('🔄 PERFORMANCE COMPARISON EXAMPLE');
-  console.log('=================================');
+  logger.info('🔄 PERFORMANCE COMPARISON EXAMPLE');
+  logger.info('=================================');
   
   // Set baseline (simulated "before" optimization)
-  window.performanceComparator.setBaseline('Analysis', {
+  performanceComparator.setBaseline('Analysis', {
     renderTime: 28.5,
     memoryUsage: 5200000,
     loadTime: 1200,
   });
   
   // Record current (simulated "after" optimization)
-  window.performanceComparator.recordCurrent('Analysis', {
+  performanceComparator.recordCurrent('Analysis', {
     renderTime: 12.3,
     memoryUsage: 2800000,
     loadTime: 650,
   });
   
   // Compare
-  const comparison = window.performanceComparator.comparePerformance('Analysis');
+  const comparison = performanceComparator.comparePerformance('Analysis');
   
-  console.log('📊 COMPARISON RESULTS:');
-  console.log('Render Time:', comparison.summary.renderTime.baseline + 'ms → ' + 
+  logger.info('📊 COMPARISON RESULTS:');
+  logger.info('Render Time:', comparison.summary.renderTime.baseline + 'ms → ' + 
     comparison.summary.renderTime.current + 'ms (' + 
     comparison.summary.renderTime.percentChange.toFixed(1) + '%)');
-  console.log('Memory Usage:', (comparison.summary.memoryUsage.baseline / 1024 / 1024).toFixed(2) + 'MB → ' + 
+  logger.info('Memory Usage:', (comparison.summary.memoryUsage.baseline / 1024 / 1024).toFixed(2) + 'MB → ' + 
     (comparison.summary.memoryUsage.current / 1024 / 1024).toFixed(2) + 'MB (' + 
     comparison.summary.memoryUsage.percentChange.toFixed(1) + '%)');
-  console.log('Load Time:', comparison.summary.loadTime.baseline + 'ms → ' + 
+  logger.info('Load Time:', comparison.summary.loadTime.baseline + 'ms → ' + 
     comparison.summary.loadTime.current + 'ms (' + 
     comparison.summary.loadTime.percentChange.toFixed(1) + '%)');
   
@@ -103,23 +108,23 @@ const compareAnalysisComponent = () => {
 
 // Run comprehensive performance tests
 const runPerformanceTests = async () => {
-  console.log('🧪 RUNNING PERFORMANCE TESTS');
-  console.log('============================');
+  logger.info('🧪 RUNNING PERFORMANCE TESTS');
+  logger.info('============================');
   
   try {
-    const results = await window.PerformanceTestSuite.runFullSuite();
+    const results = await PerformanceTestSuite.runFullSuite();
     
-    console.log('✅ TEST RESULTS:');
-    console.log('Total Tests:', results.tests.length);
-    console.log('Summary:', results.summary);
+    logger.info('✅ TEST RESULTS:');
+    logger.info('Total Tests:', results.tests.length);
+    logger.info('Summary:', results.summary);
     
     // Export results
-    window.PerformanceTestSuite.exportResults(results);
-    console.log('📥 Results exported to download');
+    PerformanceTestSuite.exportResults(results);
+    logger.info('📥 Results exported to download');
     
     return results;
   } catch (error) {
-    console.error('❌ Test failed:', error);
+    logger.error('❌ Test failed:', error);
   }
 };
 
@@ -129,11 +134,11 @@ const runPerformanceTests = async () => {
 
 // Check for potential memory leaks
 const checkMemoryLeaks = () => {
-  const data = window.performanceMonitor.getPerformanceData();
+  const data = performanceMonitor.getPerformanceData();
   const memoryUsage = data.memoryUsage;
   
   if (memoryUsage.length < 10) {
-    console.log('📊 Not enough memory samples for leak detection');
+    logger.info('📊 Not enough memory samples for leak detection');
     return false;
   }
   
@@ -145,21 +150,21 @@ const checkMemoryLeaks = () => {
   
   const increase = (recentAvg - olderAvg) / olderAvg * 100;
   
-  console.log('🧠 MEMORY LEAK ANALYSIS');
-  console.log('======================');
-  console.log('Recent avg:', (recentAvg / 1024 / 1024).toFixed(2) + 'MB');
-  console.log('Older avg:', (olderAvg / 1024 / 1024).toFixed(2) + 'MB');
-  console.log('Increase:', increase.toFixed(1) + '%');
+  logger.info('🧠 MEMORY LEAK ANALYSIS');
+  logger.info('======================');
+  logger.info('Recent avg:', (recentAvg / 1024 / 1024).toFixed(2) + 'MB');
+  logger.info('Older avg:', (olderAvg / 1024 / 1024).toFixed(2) + 'MB');
+  logger.info('Increase:', increase.toFixed(1) + '%');
   
   if (increase > 10) {
-    console.log('⚠️ POTENTIAL MEMORY LEAK DETECTED!');
-    console.log('💡 Recommendations:');
-    console.log('  - Check for event listeners that aren\'t cleaned up');
-    console.log('  - Look for closures holding references to large objects');
-    console.log('  - Ensure components properly unmount and cleanup');
+    logger.warn('⚠️ POTENTIAL MEMORY LEAK DETECTED!');
+    logger.warn('💡 Recommendations:');
+    logger.warn('  - Check for event listeners that aren\'t cleaned up');
+    logger.warn('  - Look for closures holding references to large objects');
+    logger.warn('  - Ensure components properly unmount and cleanup');
     return true;
   } else {
-    console.log('✅ Memory usage looks stable');
+    logger.info('✅ Memory usage looks stable');
     return false;
   }
 };
@@ -170,24 +175,24 @@ const checkMemoryLeaks = () => {
 
 // Detect performance regressions
 const detectRegressions = () => {
-  const report = window.performanceComparator.generateComparisonReport();
+  const report = performanceComparator.generateComparisonReport();
   const regressions = report.detailedResults.filter(result => 
     Object.keys(result.regressions).length > 0
   );
   
-  console.log('🔍 REGRESSION DETECTION');
-  console.log('=======================');
+  logger.info('🔍 REGRESSION DETECTION');
+  logger.info('=======================');
   
   if (regressions.length > 0) {
-    console.log('❌ REGRESSIONS FOUND:');
+    logger.warn('❌ REGRESSIONS FOUND:');
     regressions.forEach(regression => {
-      console.log(`  - ${regression.componentName}:`, regression.regressions);
+      logger.warn(`  - ${regression.componentName}:`, regression.regressions);
     });
     
-    console.log('💡 Recommendations:');
-    report.recommendations.forEach(rec => console.log('  -', rec));
+    logger.warn('💡 Recommendations:');
+    report.recommendations.forEach(rec => logger.warn('  -', rec));
   } else {
-    console.log('✅ No performance regressions detected');
+    logger.info('✅ No performance regressions detected');
   }
   
   return regressions;
@@ -199,15 +204,15 @@ const detectRegressions = () => {
 
 // Generate and display comprehensive performance report
 const generateFullReport = () => {
-  console.log('📋 COMPREHENSIVE PERFORMANCE REPORT');
-  console.log('===================================');
+  logger.info('📋 COMPREHENSIVE PERFORMANCE REPORT');
+  logger.info('===================================');
   
   const performanceData = quickCheck();
   const memoryLeaks = checkMemoryLeaks();
   const regressions = detectRegressions();
   
-  console.log('\n📊 PERFORMANCE SCORE:');
-  const data = window.performanceMonitor.getPerformanceData();
+  logger.info('\n📊 PERFORMANCE SCORE:');
+  const data = performanceMonitor.getPerformanceData();
   const avgRenderTime = data.renderTimes.length > 0 ? 
     data.renderTimes.reduce((sum, time) => sum + time, 0) / data.renderTimes.length : 0;
   const currentMemory = data.memoryUsage.length > 0 ? 
@@ -222,12 +227,12 @@ const generateFullReport = () => {
   if (memoryLeaks) score -= 20;
   if (regressions.length > 0) score -= 10;
   
-  console.log('Performance Score:', Math.max(0, score) + '/100');
+  logger.info('Performance Score:', Math.max(0, score) + '/100');
   
-  if (score >= 90) console.log('🎉 Excellent performance!');
-  else if (score >= 70) console.log('👍 Good performance');
-  else if (score >= 50) console.log('⚠️ Needs optimization');
-  else console.log('❌ Poor performance - immediate action needed');
+  if (score >= 90) logger.info('🎉 Excellent performance!');
+  else if (score >= 70) logger.info('👍 Good performance');
+  else if (score >= 50) logger.warn('⚠️ Needs optimization');
+  else logger.error('❌ Poor performance - immediate action needed');
   
   // Generate downloadable report
   const fullReport = {
@@ -253,7 +258,7 @@ const generateFullReport = () => {
   a.click();
   URL.revokeObjectURL(url);
   
-  console.log('📥 Full report exported to download');
+  logger.info('📥 Full report exported to download');
   
   return fullReport;
 };
@@ -264,8 +269,8 @@ const generateFullReport = () => {
 
 // Set performance budgets
 const setPerformanceBudgets = (budgets = {}) => {
-  console.log('💰 SETTING PERFORMANCE BUDGETS');
-  console.log('==============================');
+  logger.info('💰 SETTING PERFORMANCE BUDGETS');
+  logger.info('==============================');
   
   const defaultBudgets = {
     renderTime: 16, // ms per component
@@ -278,27 +283,27 @@ const setPerformanceBudgets = (budgets = {}) => {
   const finalBudgets = { ...defaultBudgets, ...budgets };
   
   Object.entries(finalBudgets).forEach(([type, value]) => {
-    window.performanceMonitor.setPerformanceBudget(type, value);
+    performanceMonitor.setPerformanceBudget(type, value);
   });
   
-  console.log('📊 Budgets set:', finalBudgets);
+  logger.info('📊 Budgets set:', finalBudgets);
   return finalBudgets;
 };
 
 // Check current budget status
 const checkBudgetStatus = () => {
-  console.log('💰 BUDGET STATUS CHECK');
-  console.log('=====================');
+  logger.info('💰 BUDGET STATUS CHECK');
+  logger.info('=====================');
   
-  const violations = window.performanceMonitor.checkPerformanceBudgets();
+  const violations = performanceMonitor.checkPerformanceBudgets();
   
   if (violations.length === 0) {
-    console.log('✅ All performance budgets are within limits');
+    logger.info('✅ All performance budgets are within limits');
   } else {
-    console.log(`⚠️ Found ${violations.length} budget violations:`);
+    logger.warn(`⚠️ Found ${violations.length} budget violations:`);
     violations.forEach(violation => {
       const severity = violation.severity === 'critical' ? '🚨' : violation.severity === 'warning' ? '⚠️' : 'ℹ️';
-      console.log(`  ${severity} ${violation.message}`);
+      logger[violation.severity === 'critical' ? 'error' : 'warn'](`  ${severity} ${violation.message}`);
     });
   }
   
@@ -311,38 +316,38 @@ const checkBudgetStatus = () => {
 
 // Analyze component dependencies and bottlenecks
 const analyzeDependencies = (componentName = null) => {
-  console.log('🔗 COMPONENT DEPENDENCY ANALYSIS');
-  console.log('=================================');
+  logger.info('🔗 COMPONENT DEPENDENCY ANALYSIS');
+  logger.info('=================================');
   
   if (componentName) {
     // Analyze specific component
-    const deps = window.performanceMonitor.getComponentDependencies(componentName);
-    console.log(`📋 Analysis for: ${componentName}`);
-    console.log('  Dependencies (children):', deps.dependencies);
-    console.log('  Dependents (parents):', deps.dependents);
-    console.log('  Render history count:', deps.renderHistory.length);
+    const deps = performanceMonitor.getComponentDependencies(componentName);
+    logger.info(`📋 Analysis for: ${componentName}`);
+    logger.info('  Dependencies (children):', deps.dependencies);
+    logger.info('  Dependents (parents):', deps.dependents);
+    logger.info('  Render history count:', deps.renderHistory.length);
     
     if (deps.renderHistory.length > 0) {
       const recent = deps.renderHistory.slice(-5);
-      console.log('  Recent renders:', recent.map(h => `${h.renderTime.toFixed(2)}ms`).join(', '));
+      logger.info('  Recent renders:', recent.map(h => `${h.renderTime.toFixed(2)}ms`).join(', '));
     }
     
     return deps;
   } else {
     // Analyze all bottlenecks
-    const bottlenecks = window.performanceMonitor.analyzeComponentBottlenecks();
+    const bottlenecks = performanceMonitor.analyzeComponentBottlenecks();
     
     if (bottlenecks.length === 0) {
-      console.log('✅ No performance bottlenecks detected');
+      logger.info('✅ No performance bottlenecks detected');
     } else {
-      console.log(`⚠️ Found ${bottlenecks.length} performance bottlenecks:`);
+      logger.warn(`⚠️ Found ${bottlenecks.length} performance bottlenecks:`);
       bottlenecks.forEach(bottleneck => {
-        console.log(`\n🔴 ${bottleneck.componentName}:`);
-        console.log(`   Avg render time: ${bottleneck.avgRenderTime.toFixed(2)}ms`);
-        console.log(`   Render frequency: ${bottleneck.renderFrequency.toFixed(1)}/sec`);
-        console.log(`   Dependencies: ${bottleneck.dependencyCount}`);
-        console.log(`   Issues: ${bottleneck.issues.join(', ')}`);
-        console.log(`   Recommendations: ${bottleneck.recommendations.join(', ')}`);
+        logger.warn(`\n🔴 ${bottleneck.componentName}:`);
+        logger.warn(`   Avg render time: ${bottleneck.avgRenderTime.toFixed(2)}ms (p95 ${bottleneck.p95RenderTime.toFixed(2)}ms)`);
+        logger.warn(`   Render frequency: ${bottleneck.renderFrequency.toFixed(1)}/sec`);
+        logger.warn(`   Dependencies: ${bottleneck.dependencyCount}`);
+        logger.warn(`   Issues: ${bottleneck.issues.join(', ')}`);
+        logger.warn(`   Recommendations: ${bottleneck.recommendations.join(', ')}`);
       });
     }
     
@@ -356,25 +361,25 @@ const analyzeDependencies = (componentName = null) => {
 
 // Start a performance profiling session
 const startProfilingSession = (sessionName = 'user-session') => {
-  console.log('🔍 STARTING PERFORMANCE PROFILING SESSION');
-  console.log('==========================================');
+  logger.info('🔍 STARTING PERFORMANCE PROFILING SESSION');
+  logger.info('==========================================');
   
-  const session = window.performanceMonitor.startProfilingSession(sessionName);
+  const session = performanceMonitor.startProfilingSession(sessionName);
   
-  console.log(`📊 Session "${sessionName}" started`);
-  console.log('💡 Navigate through your app to collect performance data');
-  console.log('💡 Call endProfilingSession() when done');
+  logger.info(`📊 Session "${sessionName}" started`);
+  logger.info('💡 Navigate through your app to collect performance data');
+  logger.info('💡 Call endProfilingSession() when done');
   
   return session;
 };
 
 // Take a manual snapshot during profiling
 const takeSnapshot = (label = 'manual-snapshot') => {
-  console.log(`📸 Taking snapshot: ${label}`);
+  logger.info(`📸 Taking snapshot: ${label}`);
   
-  const snapshot = window.performanceMonitor.takePerformanceSnapshot(label);
+  const snapshot = performanceMonitor.takePerformanceSnapshot(label);
   
-  console.log('Snapshot data:', {
+  logger.info('Snapshot data:', {
     label: snapshot.label,
     timestamp: new Date(snapshot.timestamp).toLocaleTimeString(),
     memory: `${(snapshot.memory / 1024 / 1024).toFixed(2)}MB`,
@@ -387,27 +392,27 @@ const takeSnapshot = (label = 'manual-snapshot') => {
 
 // End profiling session and generate report
 const endProfilingSession = () => {
-  console.log('🏁 ENDING PERFORMANCE PROFILING SESSION');
-  console.log('=======================================');
+  logger.info('🏁 ENDING PERFORMANCE PROFILING SESSION');
+  logger.info('=======================================');
   
-  const report = window.performanceMonitor.endProfilingSession();
+  const report = performanceMonitor.endProfilingSession();
   
   if (!report) {
-    console.log('❌ No active profiling session found');
+    logger.warn('❌ No active profiling session found');
     return null;
   }
   
-  console.log('📊 SESSION REPORT:');
-  console.log(`   Duration: ${(report.session.duration / 1000).toFixed(2)}s`);
-  console.log(`   Memory delta: ${(report.session.memoryDelta / 1024 / 1024).toFixed(2)}MB`);
-  console.log(`   New components: ${report.analysis.newComponents}`);
-  console.log(`   Bottlenecks found: ${report.analysis.bottlenecks.length}`);
-  console.log(`   Budget violations: ${report.analysis.budgetViolations}`);
+  logger.info('📊 SESSION REPORT:');
+  logger.info(`   Duration: ${(report.session.duration / 1000).toFixed(2)}s`);
+  logger.info(`   Memory delta: ${(report.session.memoryDelta / 1024 / 1024).toFixed(2)}MB`);
+  logger.info(`   New components: ${report.analysis.newComponents}`);
+  logger.info(`   Bottlenecks found: ${report.analysis.bottlenecks.length}`);
+  logger.info(`   Budget violations: ${report.analysis.budgetViolations}`);
   
   if (report.analysis.bottlenecks.length > 0) {
-    console.log('\n🔴 TOP BOTTLENECKS:');
+    logger.warn('\n🔴 TOP BOTTLENECKS:');
     report.analysis.bottlenecks.slice(0, 3).forEach((bottleneck, i) => {
-      console.log(`   ${i + 1}. ${bottleneck.componentName}: ${bottleneck.avgRenderTime.toFixed(2)}ms`);
+      logger.warn(`   ${i + 1}. ${bottleneck.componentName}: ${bottleneck.avgRenderTime.toFixed(2)}ms`);
     });
   }
   
@@ -420,7 +425,7 @@ const endProfilingSession = () => {
   a.click();
   URL.revokeObjectURL(url);
   
-  console.log('📥 Session report exported to download');
+  logger.info('📥 Session report exported to download');
   
   return report;
 };
@@ -431,23 +436,23 @@ const endProfilingSession = () => {
 
 // Run comprehensive performance diagnostics
 const runPerformanceDiagnostics = () => {
-  console.log('🔬 COMPREHENSIVE PERFORMANCE DIAGNOSTICS');
-  console.log('========================================');
+  logger.info('🔬 COMPREHENSIVE PERFORMANCE DIAGNOSTICS');
+  logger.info('========================================');
   
   // 1. Budget check
-  console.log('\n💰 1. Budget Status:');
+  logger.info('\n💰 1. Budget Status:');
   const budgetViolations = checkBudgetStatus();
   
   // 2. Dependency analysis
-  console.log('\n🔗 2. Dependency Analysis:');
+  logger.info('\n🔗 2. Dependency Analysis:');
   const bottlenecks = analyzeDependencies();
   
   // 3. Memory analysis
-  console.log('\n🧠 3. Memory Analysis:');
+  logger.info('\n🧠 3. Memory Analysis:');
   const memoryLeaks = checkMemoryLeaks();
   
   // 4. General performance
-  console.log('\n📊 4. General Performance:');
+  logger.info('\n📊 4. General Performance:');
   const generalData = quickCheck();
   
   // Generate diagnostic score
@@ -468,12 +473,12 @@ const runPerformanceDiagnostics = () => {
   
   score = Math.max(0, score);
   
-  console.log('\n🎯 DIAGNOSTIC SCORE:', score + '/100');
+  logger.info('\n🎯 DIAGNOSTIC SCORE:', score + '/100');
   
-  if (score >= 90) console.log('🎉 Excellent performance!');
-  else if (score >= 70) console.log('👍 Good performance');
-  else if (score >= 50) console.log('⚠️ Needs optimization');
-  else console.log('❌ Poor performance - immediate action needed');
+  if (score >= 90) logger.info('🎉 Excellent performance!');
+  else if (score >= 70) logger.info('👍 Good performance');
+  else if (score >= 50) logger.warn('⚠️ Needs optimization');
+  else logger.error('❌ Poor performance - immediate action needed');
   
   return {
     score,
@@ -488,32 +493,8 @@ const runPerformanceDiagnostics = () => {
 // ENHANCED QUICK COMMANDS
 // ========================================
 
-// Make functions available globally for easy access
-const performanceAnalysis = {
-  quickCheck,
-  analyzeComponent,
-  compareAnalysisComponent,
-  runPerformanceTests,
-  checkMemoryLeaks,
-  detectRegressions,
-  generateFullReport,
-  // New enhanced features
-  setPerformanceBudgets,
-  checkBudgetStatus,
-  analyzeDependencies,
-  startProfilingSession,
-  takeSnapshot,
-  endProfilingSession,
-  runPerformanceDiagnostics
-};
-
-// Setup global access for browser console
-if (typeof window !== 'undefined') {
-  window.performanceAnalysis = performanceAnalysis;
-}
-
-// Display usage instructions
-console.log(`
+// Usage instructions printed by installConsoleTools
+const USAGE_INSTRUCTIONS = `
 🚀 PERFORMANCE ANALYSIS TOOLS LOADED!
 =====================================
 
@@ -557,7 +538,44 @@ performanceAnalysis.endProfilingSession();
 
 // Run comprehensive diagnostics
 performanceAnalysis.runPerformanceDiagnostics();
-`);
+`;
+
+// Setup global access for browser console: performanceAnalysis, performanceComparator,
+// PerformanceTestSuite and performanceMonitor. Returns an uninstall function.
+const installConsoleTools = ({ showUsage = true } = {}) => {
+  const uninstallers = [
+    installWindowGlobals({ performanceAnalysis, performanceMonitor }),
+    installComparatorGlobals(),
+    installPerformanceTestSuite({ showUsage: false }),
+  ];
+
+  // Display usage instructions
+  if (showUsage) {
+    logger.info(USAGE_INSTRUCTIONS);
+  }
+
+  return () => uninstallers.forEach(uninstall => uninstall());
+};
+
+// Make functions available globally for easy access
+const performanceAnalysis = {
+  quickCheck,
+  analyzeComponent,
+  compareAnalysisComponent,
+  runPerformanceTests,
+  checkMemoryLeaks,
+  detectRegressions,
+  generateFullReport,
+  // New enhanced features
+  setPerformanceBudgets,
+  checkBudgetStatus,
+  analyzeDependencies,
+  startProfilingSession,
+  takeSnapshot,
+  endProfilingSession,
+  runPerformanceDiagnostics,
+  installConsoleTools
+};
 
 // Export for use in other files
 export default performanceAnalysis;
@@ -575,5 +593,6 @@ export {
   startProfilingSession,
   takeSnapshot,
   endProfilingSession,
-  runPerformanceDiagnostics
+  runPerformanceDiagnostics,
+  installConsoleTools
 };